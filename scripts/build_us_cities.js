@@ -0,0 +1,63 @@
+/**
+ * Builds src/data/us_cities.csv, the offline city dataset used by location_parser.js.
+ *
+ * Every US city with a ZIP code (from the zipcodes package) becomes one row, placed at the
+ * median of its ZIP code centroids (a few stray ZIPs, such as IRS codes filed under
+ * "New York", would pull a mean off the city), in the column layout of
+ * https://github.com/kelvins/US-Cities-Database. COUNTY is left empty: the source has no
+ * county names and the parser does not use them.
+ *
+ * Usage: npm run build:cities
+ */
+import { writeFileSync } from 'fs';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+const { codes } = require('zipcodes/lib/codes.js');
+
+const OUTPUT_FILE = new URL('../src/data/us_cities.csv', import.meta.url);
+
+const STATE_NAMES = {
+    AL: 'Alabama', AK: 'Alaska', AZ: 'Arizona', AR: 'Arkansas', CA: 'California', CO: 'Colorado',
+    CT: 'Connecticut', DE: 'Delaware', DC: 'District of Columbia', FL: 'Florida', GA: 'Georgia',
+    HI: 'Hawaii', ID: 'Idaho', IL: 'Illinois', IN: 'Indiana', IA: 'Iowa', KS: 'Kansas', KY: 'Kentucky',
+    LA: 'Louisiana', ME: 'Maine', MD: 'Maryland', MA: 'Massachusetts', MI: 'Michigan', MN: 'Minnesota',
+    MS: 'Mississippi', MO: 'Missouri', MT: 'Montana', NE: 'Nebraska', NV: 'Nevada', NH: 'New Hampshire',
+    NJ: 'New Jersey', NM: 'New Mexico', NY: 'New York', NC: 'North Carolina', ND: 'North Dakota',
+    OH: 'Ohio', OK: 'Oklahoma', OR: 'Oregon', PA: 'Pennsylvania', RI: 'Rhode Island',
+    SC: 'South Carolina', SD: 'South Dakota', TN: 'Tennessee', TX: 'Texas', UT: 'Utah', VT: 'Vermont',
+    VA: 'Virginia', WA: 'Washington', WV: 'West Virginia', WI: 'Wisconsin', WY: 'Wyoming'
+};
+
+// Places postings name that USPS files under another city (Queens ZIP codes use the neighborhood)
+const EXTRA_PLACES = [
+    { state: 'NY', city: 'Queens', county: 'Queens', lat: 40.7282, lng: -73.7949 }
+];
+
+const cities = new Map();
+for (const { city, state, latitude, longitude } of Object.values(codes)) {
+    // Skips Canadian codes, territories and military (AA/AE/AP) addresses
+    if (!STATE_NAMES[state] || !city || !Number.isFinite(latitude) || !Number.isFinite(longitude)) continue;
+    const key = `${state}|${city.toLowerCase()}`;
+    const entry = cities.get(key) || { state, city, county: '', lats: [], lngs: [] };
+    entry.lats.push(latitude);
+    entry.lngs.push(longitude);
+    cities.set(key, entry);
+}
+
+function median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+const rows = [...cities.values()]
+    .map(({ state, city, county, lats, lngs }) => ({ state, city, county, lat: median(lats), lng: median(lngs) }))
+    .concat(EXTRA_PLACES.filter(place => !cities.has(`${place.state}|${place.city.toLowerCase()}`)))
+    .sort((a, b) => a.state.localeCompare(b.state) || a.city.localeCompare(b.city));
+
+const lines = rows.map((row, i) => [
+    i + 1, row.state, STATE_NAMES[row.state], row.city, row.county, row.lat.toFixed(4), row.lng.toFixed(4)
+].join(','));
+writeFileSync(OUTPUT_FILE, `ID,STATE_CODE,STATE_NAME,CITY,COUNTY,LATITUDE,LONGITUDE\n${lines.join('\n')}\n`);
+console.log(`Wrote ${rows.length} cities to ${OUTPUT_FILE.pathname}`);
@@ -0,0 +1,76 @@
+/**
+ * Staffing-agency and recruiter detection.
+ *
+ * Agencies post on behalf of unnamed clients, so their listings tend to have a recruiting
+ * word in the company name, "our client"/"confidential" language in the description and no
+ * venue address. Each signal adds to a score; postings at or above AGENCY_THRESHOLD are
+ * flagged and held for review with the reasons that triggered them.
+ */
+
+export const AGENCY_THRESHOLD = 0.5;
+
+// Company names that say what the business is
+const NAME_SIGNALS = [
+    { pattern: /\b(?:recruit\w*|staffing|personnel|placements?|headhunt\w*|executive search|talent (?:acquisition|partners|solutions))\b/i, weight: 0.6 },
+    // Common in agency names, but also in caterers and restaurant groups ("Restaurant Associates")
+    { pattern: /\b(?:advisors|associates|consult\w*|search|hr)\b/i, weight: 0.3 }
+];
+
+// Listings that hide the employer's name
+const CONFIDENTIAL_NAME = /^(?:confidential|undisclosed|private|anonymous)(?: (?:company|client|employer|restaurant))?$/i;
+
+// Description phrases written by a third party about the employer
+const TEXT_SIGNALS = [
+    /\b(?:our|my) client(?:'s)?\b/i,
+    /\bon behalf of (?:our|a|an) (?:client|employer|restaurant)/i,
+    /\bconfidential (?:search|client|company|employer|opportunity)\b/i,
+    /\b(?:recruiting|staffing|placement|search) (?:firm|agency)\b/i,
+    /\bclient (?:is|company|restaurant) (?:a|an|seeking|looking)\b/i,
+    /\bnot (?:a|an) (?:direct hire|employee of)\b/i
+];
+const TEXT_SIGNAL_WEIGHT = 0.25;
+const MAX_TEXT_WEIGHT = 0.5;
+const NO_LOCATION_WEIGHT = 0.2;
+
+/**
+ * Scores how likely a posting comes from a staffing agency or recruiter
+ * @param {Object} job
+ * @param {string} job.company - Company name from parseCompanyAndLocation
+ * @param {string} [job.jobDetails] - Detail-page description
+ * @param {{street: string|null, city: string|null}} [job.place] - Result of parseLocation for the posting
+ * @returns {{score: number, flagged: boolean, reasons: Array<string>}}
+ */
+export function classifyAgency({ company, jobDetails, place }) {
+    const reasons = [];
+    let score = 0;
+
+    const name = (company || '').trim();
+    if (CONFIDENTIAL_NAME.test(name)) {
+        score += 0.6;
+        reasons.push(`employer name withheld ("${name}")`);
+    } else {
+        const signal = NAME_SIGNALS.find(({ pattern }) => pattern.test(name));
+        if (signal) {
+            score += signal.weight;
+            reasons.push(`company name contains "${name.match(signal.pattern)[0]}"`);
+        }
+    }
+
+    const text = jobDetails && jobDetails !== 'N/A' ? jobDetails : '';
+    let textWeight = 0;
+    for (const pattern of TEXT_SIGNALS) {
+        const match = text.match(pattern);
+        if (!match) continue;
+        textWeight += TEXT_SIGNAL_WEIGHT;
+        reasons.push(`description says "${match[0]}"`);
+    }
+    score += Math.min(textWeight, MAX_TEXT_WEIGHT);
+
+    if (place && !place.street && !place.city) {
+        score += NO_LOCATION_WEIGHT;
+        reasons.push('no venue address');
+    }
+
+    score = Math.min(1, Math.round(score * 100) / 100);
+    return { score, flagged: score >= AGENCY_THRESHOLD, reasons };
+}
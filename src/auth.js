@@ -0,0 +1,158 @@
+/**
+ * Culinary Agents login over plain HTTP.
+ *
+ * Submits the same sign-in modal form the Puppeteer login router in routes.js fills in
+ * (#user_email / #user_password), keeps the resulting session cookies, and hands them
+ * to the Cheerio listing requests and the detail-page fetches.
+ */
+import cheerio from 'cheerio';
+import fetch from 'node-fetch';
+import { log } from 'crawlee';
+
+const BASE_URL = 'https://culinaryagents.com';
+const LOGIN_LINK_SELECTOR = "a[href='#signin-modal']";
+
+// Merges Set-Cookie headers from a response into the cookie map
+function storeCookies(cookies, response) {
+    const setCookies = response.headers.raw()['set-cookie'] || [];
+    for (const setCookie of setCookies) {
+        const [pair] = setCookie.split(';');
+        const separatorIndex = pair.indexOf('=');
+        if (separatorIndex <= 0) continue;
+        const name = pair.substring(0, separatorIndex).trim();
+        const value = pair.substring(separatorIndex + 1).trim();
+        if (value) {
+            cookies.set(name, value);
+        } else {
+            cookies.delete(name);
+        }
+    }
+}
+
+/**
+ * Returns true when a Culinary Agents page was rendered for a signed-out visitor
+ * @param {Function} $ - Cheerio handle of the page
+ * @returns {boolean}
+ */
+export function isLoggedOutPage($) {
+    return $(LOGIN_LINK_SELECTOR).length > 0;
+}
+
+/**
+ * Creates a login session for Culinary Agents
+ * @param {Object} credentials - { username, password } from the actor input
+ * @returns {Object} - Session with login(), ensureLoggedIn(), getCookieHeader() and fetch()
+ */
+export function createSession({ username, password }) {
+    const cookies = new Map();
+    let loginCount = 0;
+    let loginInFlight = null;
+
+    const getCookieHeader = () => Array.from(cookies, ([name, value]) => `${name}=${value}`).join('; ');
+
+    async function request(url, options = {}) {
+        const response = await fetch(url, {
+            ...options,
+            redirect: 'manual',
+            headers: { ...options.headers, Cookie: getCookieHeader() }
+        });
+        storeCookies(cookies, response);
+        return response;
+    }
+
+    async function doLogin() {
+        log.info('AUTH: Logging in to Culinary Agents...');
+        cookies.clear();
+
+        // Step 1: Load the page that renders the sign-in modal
+        const pageResponse = await request(BASE_URL);
+        const $ = cheerio.load(await pageResponse.text());
+
+        // Step 2: Find the modal form and its hidden fields (CSRF token etc.)
+        const form = $('#user_email').closest('form');
+        if (form.length === 0) {
+            throw new Error('AUTH: Sign-in form (#user_email) not found on the Culinary Agents page');
+        }
+        const formData = new URLSearchParams();
+        form.find('input').each((_, input) => {
+            const name = $(input).attr('name');
+            const type = ($(input).attr('type') || '').toLowerCase();
+            if (!name || type === 'submit' || (type === 'checkbox' && !$(input).attr('checked'))) return;
+            formData.set(name, $(input).attr('value') || '');
+        });
+
+        // Step 3: Enter login credentials
+        const emailField = form.find('#user_email').attr('name');
+        const passwordField = form.find('#user_password').attr('name');
+        if (!emailField || !passwordField) {
+            throw new Error('AUTH: Login form changed - #user_email or #user_password is missing or has no name attribute');
+        }
+        formData.set(emailField, username);
+        formData.set(passwordField, password);
+
+        // Step 4: Submit the form; Devise answers with a redirect and a fresh session cookie
+        const action = new URL(form.attr('action') || '/users/sign_in', BASE_URL).href;
+        const loginResponse = await request(action, {
+            method: 'POST',
+            body: formData.toString(),
+            headers: { 'Content-Type': 'application/x-www-form-urlencoded', Referer: BASE_URL }
+        });
+        if (loginResponse.status >= 400) {
+            throw new Error(`AUTH: Login request failed with status ${loginResponse.status}`);
+        }
+
+        // Step 5: Confirm the session is signed in
+        const checkResponse = await request(`${BASE_URL}/jobs`);
+        if (isLoggedOutPage(cheerio.load(await checkResponse.text()))) {
+            throw new Error('AUTH: Login failed - still signed out after submitting credentials');
+        }
+
+        loginCount++;
+        log.info(`AUTH: Login successful (login #${loginCount}, ${cookies.size} cookies).`);
+    }
+
+    // Concurrent callers share one login attempt
+    function login() {
+        if (!loginInFlight) {
+            loginInFlight = doLogin().finally(() => {
+                loginInFlight = null;
+            });
+        }
+        return loginInFlight;
+    }
+
+    return {
+        login,
+        getCookieHeader,
+        get loginCount() {
+            return loginCount;
+        },
+
+        /**
+         * Re-authenticates if the given page was rendered for a signed-out visitor
+         * @returns {Promise<boolean>} - true if the session had expired
+         */
+        async ensureLoggedIn($) {
+            if (!isLoggedOutPage($)) return false;
+            log.warning('AUTH: Session expired, re-authenticating...');
+            await login();
+            return true;
+        },
+
+        /**
+         * GET a page with the session cookies, following redirects
+         */
+        async fetch(url) {
+            let currentUrl = url;
+            for (let redirects = 0; redirects < 5; redirects++) {
+                const response = await request(currentUrl);
+                const location = response.headers.get('location');
+                if (response.status < 300 || response.status >= 400 || !location) {
+                    return response;
+                }
+                currentUrl = new URL(location, currentUrl).href;
+            }
+            throw new Error(`AUTH: Too many redirects fetching ${url}`);
+        }
+    };
+}
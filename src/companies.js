@@ -0,0 +1,194 @@
+/**
+ * Company entities.
+ *
+ * Every job is linked to a row in `companies`, keyed by the normalized name from
+ * normalizeCompanyName, so open roles and hiring history can be reported per account
+ * (and per restaurant group through parent_company_id) instead of per posting. Groups
+ * also get their full venue list from the board's group profile page (storeCompanyGroup).
+ */
+import { normalizeCompanyName } from './company_parser.js';
+
+// Enrichment writes 'N/A' for unknown values
+const orNull = (value) => (value && value !== 'N/A' ? value : null);
+
+/**
+ * Creates or refreshes a company and returns its id
+ * @param {Object} client - pg client (inside the caller's transaction) or Pool
+ * @param {string} rawName - Company name as stored on the job
+ * @param {Object} [fields]
+ * @param {string} [fields.domain]
+ * @param {string} [fields.linkedin]
+ * @param {number} [fields.parentCompanyId]
+ * @param {string} [fields.profileUrl] - The company's profile page on the job board
+ * @param {Date|string} [fields.seenAt] - When the company was seen hiring (defaults to now)
+ * @returns {Promise<number|null>} - companies.id, or null for unknown/excluded names
+ */
+export async function upsertCompany(client, rawName, { domain, linkedin, parentCompanyId, profileUrl, seenAt } = {}) {
+    const normalized = normalizeCompanyName(rawName);
+    if (!normalized) return null;
+
+    const result = await client.query(
+        `INSERT INTO companies (name_key, name, domain, linkedin, parent_company_id, profile_url, first_seen_at, last_seen_at)
+         VALUES ($1, $2, $3, $4, $5, $6, COALESCE($7::timestamptz, NOW()), COALESCE($7::timestamptz, NOW()))
+         ON CONFLICT (name_key) DO UPDATE SET
+            domain = COALESCE(EXCLUDED.domain, companies.domain),
+            linkedin = COALESCE(EXCLUDED.linkedin, companies.linkedin),
+            parent_company_id = COALESCE(EXCLUDED.parent_company_id, companies.parent_company_id),
+            profile_url = COALESCE(EXCLUDED.profile_url, companies.profile_url),
+            first_seen_at = LEAST(companies.first_seen_at, EXCLUDED.first_seen_at),
+            last_seen_at = GREATEST(companies.last_seen_at, EXCLUDED.last_seen_at)
+         RETURNING id`,
+        [
+            normalized.key,
+            normalized.name.substring(0, 255),
+            orNull(domain),
+            orNull(linkedin),
+            parentCompanyId || null,
+            orNull(profileUrl),
+            seenAt || null
+        ]
+    );
+    return result.rows[0].id;
+}
+
+/**
+ * Resolves the company (and parent company) of a job to ids
+ * @param {Object} client - pg client or Pool
+ * @param {Object} job - { company, parentCompany, domain, parentUrl, linkedin, companyProfileUrl, parentProfileUrl,
+ *        websiteProfile } (enriched or DB column names)
+ * @param {Date|string} [seenAt]
+ * @returns {Promise<number|null>} - companies.id for the job's company
+ */
+export async function resolveJobCompany(client, job, seenAt) {
+    const parentName = orNull(job.parentCompany);
+    const parentCompanyId = parentName
+        ? await upsertCompany(client, parentName, { domain: job.parentUrl, profileUrl: job.parentProfileUrl, seenAt })
+        : null;
+
+    const companyId = await upsertCompany(client, job.company, {
+        domain: job.domain,
+        linkedin: job.linkedin,
+        profileUrl: job.companyProfileUrl,
+        seenAt
+    });
+    // A company can't be its own parent (both names may normalize to the same key)
+    if (companyId && parentCompanyId && parentCompanyId !== companyId) {
+        await client.query(
+            'UPDATE companies SET parent_company_id = $2 WHERE id = $1',
+            [companyId, parentCompanyId]
+        );
+    }
+    if (companyId && job.websiteProfile) {
+        await updateCompanyWebsite(client, companyId, job.websiteProfile);
+    }
+    return companyId;
+}
+
+/**
+ * Stores what the company's website publishes; values the site no longer shows are kept
+ * @param {Object} client - pg client or Pool
+ * @param {number} companyId
+ * @param {Object} profile - Result of the site profiler's profile(domain)
+ */
+export async function updateCompanyWebsite(client, companyId, profile) {
+    await client.query(
+        `UPDATE companies SET
+            website_emails = COALESCE($2, website_emails),
+            phone = COALESCE($3, phone),
+            instagram = COALESCE($4, instagram),
+            linkedin = COALESCE(linkedin, $5),
+            address = COALESCE($6, address),
+            careers_url = COALESCE($7, careers_url),
+            website_crawled_at = NOW()
+         WHERE id = $1`,
+        [
+            companyId,
+            profile.emails && profile.emails.length > 0 ? profile.emails.join('; ') : null,
+            profile.phones && profile.phones.length > 0 ? profile.phones[0] : null,
+            orNull(profile.instagram),
+            orNull(profile.linkedin),
+            orNull(profile.address),
+            orNull(profile.careersUrl)
+        ]
+    );
+}
+
+/**
+ * Checks whether a group's venue list was crawled recently enough to skip it this run
+ * @param {Object} client - pg client or Pool
+ * @param {string} groupName - Parent company name as shown on the job
+ * @param {number} recrawlDays - How long a crawled venue list is trusted
+ * @returns {Promise<boolean>}
+ */
+export async function isGroupCrawlFresh(client, groupName, recrawlDays) {
+    const normalized = normalizeCompanyName(groupName);
+    if (!normalized) return true;
+    const result = await client.query(
+        `SELECT 1 FROM companies
+         WHERE name_key = $1 AND venues_crawled_at > NOW() - make_interval(days => $2)`,
+        [normalized.key, recrawlDays]
+    );
+    return result.rows.length > 0;
+}
+
+/**
+ * Stores a restaurant group and the venues listed on its profile page
+ *
+ * Venues are linked to the group through parent_company_id. Venues that have not been seen
+ * hiring keep empty first/last seen dates, so hiring history only counts real postings.
+ * @param {Object} client - pg client or Pool
+ * @param {string} groupName - Parent company name as shown on the job (keeps the same key as resolveJobCompany)
+ * @param {import('./sources/index.js').GroupProfile} profile
+ * @returns {Promise<{groupId: number, venues: number}|null>} - null when the group name is unknown/excluded
+ */
+export async function storeCompanyGroup(client, groupName, profile) {
+    const normalized = normalizeCompanyName(groupName || profile.name);
+    if (!normalized) return null;
+
+    const group = await client.query(
+        `INSERT INTO companies (name_key, name, profile_url, venues_crawled_at, first_seen_at, last_seen_at)
+         VALUES ($1, $2, $3, NOW(), NULL, NULL)
+         ON CONFLICT (name_key) DO UPDATE SET
+            profile_url = COALESCE(EXCLUDED.profile_url, companies.profile_url),
+            venues_crawled_at = NOW()
+         RETURNING id`,
+        [normalized.key, normalized.name.substring(0, 255), profile.profileUrl]
+    );
+    const groupId = group.rows[0].id;
+
+    let venues = 0;
+    for (const venue of profile.venues) {
+        const venueName = normalizeCompanyName(venue.name);
+        // A group can list itself among its venues
+        if (!venueName || venueName.key === normalized.key) continue;
+        await client.query(
+            `INSERT INTO companies (name_key, name, parent_company_id, profile_url, first_seen_at, last_seen_at)
+             VALUES ($1, $2, $3, $4, NULL, NULL)
+             ON CONFLICT (name_key) DO UPDATE SET
+                parent_company_id = EXCLUDED.parent_company_id,
+                profile_url = COALESCE(companies.profile_url, EXCLUDED.profile_url)`,
+            [venueName.key, venueName.name.substring(0, 255), groupId, venue.profileUrl]
+        );
+        venues++;
+    }
+    return { groupId, venues };
+}
+
+/**
+ * Rolled-up hiring of the restaurant groups that posted since a given time
+ * @param {Object} client - pg client or Pool
+ * @param {Date|number} since - Typically the run's start time
+ * @param {number} [limit]
+ * @returns {Promise<Array<Object>>} - company_group_hiring rows, busiest groups first
+ */
+export async function loadGroupHiring(client, since, limit = 20) {
+    const result = await client.query(
+        `SELECT group_name, venue_count, venues_hiring, open_postings, postings_last_90_days
+         FROM company_group_hiring
+         WHERE last_posted_at >= $1
+         ORDER BY open_postings DESC, group_name
+         LIMIT $2`,
+        [new Date(since), limit]
+    );
+    return result.rows;
+}
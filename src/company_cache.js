@@ -0,0 +1,220 @@
+/**
+ * Persistent cache of company website lookups, so daily runs don't pay SearchAPI again for
+ * the same restaurant groups.
+ *
+ * Backed by the company_websites table when a database is configured, otherwise by a record
+ * in the actor's named key-value store. Searches that found no website are cached too, with
+ * a shorter TTL, since a new restaurant may get a site soon. So are low-confidence matches,
+ * which are kept for review and not used until someone clears their needs_review flag.
+ */
+import { log } from 'crawlee';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_TTL_DAYS = 7;
+const DEFAULT_NEGATIVE_TTL_DAYS = 1;
+const KVS_RECORD_KEY = 'COMPANY_WEBSITES';
+// Key-value store backend: write the whole record every this many new entries (and at the end)
+const KVS_SAVE_EVERY = 10;
+
+// Venues sharing a generic name in different cities are different companies, so the city is
+// part of the key ("the smith|new york"); lookups without a city use the name alone
+const toNameKey = (companyName) => companyName.toLowerCase().trim();
+const toKey = (companyName, city) => (city ? `${toNameKey(companyName)}|${city.toLowerCase().trim()}` : toNameKey(companyName)).substring(0, 255);
+
+function createPostgresBackend(pool) {
+    return {
+        name: 'postgres',
+        async get(key, ttlMs, negativeTtlMs) {
+            const result = await pool.query(
+                `SELECT url, domain, confidence, needs_review AS "needsReview" FROM company_websites
+                 WHERE name_key = $1
+                   AND checked_at > NOW() - make_interval(secs => CASE WHEN url IS NULL OR needs_review THEN $3 ELSE $2 END)`,
+                [key, ttlMs / 1000, negativeTtlMs / 1000]
+            );
+            return result.rows[0] || null;
+        },
+        async set(key, companyName, entry) {
+            await pool.query(
+                `INSERT INTO company_websites (name_key, company_name, url, domain, confidence, needs_review, checked_at)
+                 VALUES ($1, $2, $3, $4, $5, $6, NOW())
+                 ON CONFLICT (name_key) DO UPDATE SET
+                    company_name = EXCLUDED.company_name,
+                    url = EXCLUDED.url,
+                    domain = EXCLUDED.domain,
+                    confidence = EXCLUDED.confidence,
+                    needs_review = EXCLUDED.needs_review,
+                    checked_at = NOW()`,
+                [key, companyName, entry.url, entry.domain, entry.confidence ?? null, Boolean(entry.needsReview)]
+            );
+        },
+        async knownDomains(nameKey) {
+            const result = await pool.query(
+                `SELECT DISTINCT domain FROM company_websites
+                 WHERE split_part(name_key, '|', 1) = $1 AND domain IS NOT NULL AND NOT needs_review`,
+                [nameKey]
+            );
+            return result.rows.map(row => row.domain);
+        },
+        async clear() {
+            const result = await pool.query('DELETE FROM company_websites');
+            return result.rowCount;
+        },
+        async flush() {}
+    };
+}
+
+function createKeyValueStoreBackend(store) {
+    let entries = null;
+    let unsaved = 0;
+
+    const save = async () => {
+        if (unsaved === 0) return;
+        await store.setValue(KVS_RECORD_KEY, entries);
+        unsaved = 0;
+    };
+    const load = async () => {
+        if (!entries) entries = (await store.getValue(KVS_RECORD_KEY)) || {};
+        return entries;
+    };
+
+    return {
+        name: 'key-value store',
+        async get(key, ttlMs, negativeTtlMs) {
+            const entry = (await load())[key];
+            if (!entry) return null;
+            const age = Date.now() - new Date(entry.checkedAt).getTime();
+            return age < (entry.url && !entry.needsReview ? ttlMs : negativeTtlMs) ? entry : null;
+        },
+        async set(key, companyName, entry) {
+            (await load())[key] = {
+                companyName,
+                url: entry.url,
+                domain: entry.domain,
+                confidence: entry.confidence ?? null,
+                needsReview: Boolean(entry.needsReview),
+                checkedAt: new Date().toISOString()
+            };
+            if (++unsaved >= KVS_SAVE_EVERY) await save();
+        },
+        async knownDomains(nameKey) {
+            const domains = Object.entries(await load())
+                .filter(([key, entry]) => key.split('|')[0] === nameKey && entry.domain && !entry.needsReview)
+                .map(([, entry]) => entry.domain);
+            return [...new Set(domains)];
+        },
+        async clear() {
+            const count = Object.keys(await load()).length;
+            entries = {};
+            await store.setValue(KVS_RECORD_KEY, null);
+            return count;
+        },
+        flush: save
+    };
+}
+
+/**
+ * Creates the company website cache
+ * @param {Object} options
+ * @param {Object} [options.pool] - pg Pool; when absent the key-value store is used
+ * @param {Object} options.store - KeyValueStore for the fallback backend
+ * @param {number} [options.ttlDays] - How long a found website is trusted
+ * @param {number} [options.negativeTtlDays] - How long a "no website found" result is trusted
+ * @returns {Object} - { get(name, city), set(name, entry, city), getKnownDomains(name), clear(), flush(), getStats() }
+ */
+export function createCompanyWebsiteCache({ pool, store, ttlDays = DEFAULT_TTL_DAYS, negativeTtlDays = DEFAULT_NEGATIVE_TTL_DAYS }) {
+    const backend = pool ? createPostgresBackend(pool) : createKeyValueStoreBackend(store);
+    const ttlMs = ttlDays * DAY_MS;
+    const negativeTtlMs = negativeTtlDays * DAY_MS;
+    const stats = { lookups: 0, hits: 0, negativeHits: 0, misses: 0, errors: 0 };
+
+    return {
+        /**
+         * @param {string} companyName
+         * @param {string} [city] - City of the job, for venue names that exist in several cities
+         * @returns {Promise<{url: string|null, domain: string|null, confidence: number|null, needsReview: boolean}|null>}
+         *          - Cached entry (url is null for a cached "no website"), or null on a miss
+         */
+        async get(companyName, city = '') {
+            stats.lookups++;
+            try {
+                const entry = await backend.get(toKey(companyName, city), ttlMs, negativeTtlMs);
+                if (!entry) {
+                    stats.misses++;
+                    return null;
+                }
+                if (entry.url && !entry.needsReview) {
+                    stats.hits++;
+                } else {
+                    stats.negativeHits++;
+                }
+                return {
+                    url: entry.url || null,
+                    domain: entry.domain || null,
+                    confidence: entry.confidence != null ? Number(entry.confidence) : null,
+                    needsReview: Boolean(entry.needsReview)
+                };
+            } catch (error) {
+                // A broken cache must not stop enrichment - treat it as a miss
+                log.error(`COMPANY CACHE: Lookup failed for "${companyName}": ${error.message}`);
+                stats.errors++;
+                stats.misses++;
+                return null;
+            }
+        },
+
+        /**
+         * @param {string} companyName
+         * @param {{url: string|null, domain: string|null, confidence?: number, needsReview?: boolean}} entry - url null
+         *        records a negative result; needsReview keeps an uncertain match without using it
+         * @param {string} [city]
+         */
+        async set(companyName, entry, city = '') {
+            try {
+                await backend.set(toKey(companyName, city), companyName, entry);
+            } catch (error) {
+                log.error(`COMPANY CACHE: Failed to store "${companyName}": ${error.message}`);
+                stats.errors++;
+            }
+        },
+
+        /**
+         * Domains confirmed for the name in any city, so a multi-location brand resolves to one site
+         * @param {string} companyName
+         * @returns {Promise<Array<string>>}
+         */
+        async getKnownDomains(companyName) {
+            try {
+                return await backend.knownDomains(toNameKey(companyName).substring(0, 255));
+            } catch (error) {
+                log.error(`COMPANY CACHE: Failed to load known domains for "${companyName}": ${error.message}`);
+                return [];
+            }
+        },
+
+        async clear() {
+            const removed = await backend.clear();
+            log.info(`COMPANY CACHE: Cleared ${removed} cached company websites (${backend.name})`);
+        },
+
+        async flush() {
+            try {
+                await backend.flush();
+            } catch (error) {
+                log.error(`COMPANY CACHE: Failed to save the cache: ${error.message}`);
+            }
+        },
+
+        /**
+         * @returns {Object} - { backend, lookups, hits, negativeHits, misses, errors, hitRate, apiCallsSaved }
+         */
+        getStats() {
+            const cached = stats.hits + stats.negativeHits;
+            return {
+                backend: backend.name,
+                ...stats,
+                hitRate: stats.lookups > 0 ? cached / stats.lookups : 0,
+                apiCallsSaved: cached
+            };
+        }
+    };
+}
@@ -0,0 +1,478 @@
+/**
+ * Company name and location text helpers shared by every job source.
+ * Exclusion is decided while parsing names, against the rules in exclusions.js.
+ */
+import { log } from 'crawlee';
+import { findExclusion } from './exclusions.js';
+
+// Helper function to clean special characters but keep basic punctuation
+export function cleanSpecialCharacters(text) {
+    if (!text) return '';
+    // Keep only alphanumeric, spaces, and basic punctuation
+    return text.replace(/[^\w\s.,&'-]/g, '');
+}
+
+export function cleanCompanyName(input) {
+    if (!input || typeof input !== 'string') return '';
+
+    // Keep the full name for companies with multiple words
+    let cleaned = input
+        // Remove common business entity suffixes
+        .replace(/\s+(restaurant|bar|café|cafe|grill|bistro|tavern|kitchen|hospitality|group|llc|inc|corporation)\b/gi, '')
+        // Remove location markers
+        .replace(/\s+[,-]\s+.*$/, '')
+        .trim();
+
+    return cleaned || input;
+}
+
+export function cleanLocationText(input) {
+    if (!input || typeof input !== 'string') return '';
+
+    const original = input;
+    let cleaned = input
+        // Fix missing spaces between words (e.g., "CompanyCity" -> "Company City")
+        .replace(/([a-z])([A-Z])/g, '$1 $2')
+        // Fix missing spaces between company names and cities (e.g., "CompanyNew York" -> "Company New York")
+        .replace(/([a-zA-Z])([A-Z][a-z]+,?\s*[A-Z]{2})/g, '$1 $2')
+        // Fix missing spaces before state abbreviations (e.g., "CityNY" -> "City NY")
+        .replace(/([a-z])([A-Z]{2}$)/g, '$1 $2')
+        // Fix missing spaces before common multi-word city names
+        .replace(/([a-z])(New York|Los Angeles|San Francisco|Las Vegas|San Diego|San Antonio|San Jose|Kansas City|St\. Louis|Virginia Beach|Colorado Springs|Long Beach|St\. Petersburg|North Las Vegas|Salt Lake City|Fort Lauderdale|Grand Rapids|Cape Coral|Garden Grove|Newport News|Fort Wayne|St\. Paul)/gi, '$1 $2')
+        // Clean up multiple spaces
+        .replace(/\s+/g, ' ')
+        .trim();
+
+    // Log when location text was cleaned
+    if (cleaned !== original) {
+        console.info(`LOCATION SPACING FIXED: "${original}" → "${cleaned}"`);
+    }
+
+    return cleaned || input;
+}
+
+// Enhanced company name extractor focused on accurate company name identification
+export function parseCompanyAndLocation(rawName) {
+    if (!rawName || rawName === 'Unknown') {
+        return { name: 'Unknown', location: '' };
+    }
+
+    log.info(`Parsing company name from: "${rawName}"`);
+
+    // List of generic industry terms that shouldn't be treated as company names on their own
+    const genericTerms = [
+        'restaurant group', 'hospitality group', 'restaurant', 'hospitality',
+        'group', 'consulting', 'management', 'restaurant consulting',
+        'hospitality consulting', 'food and beverage', 'f&b',
+        'bar', 'cafe', 'bistro', 'tavern', 'eatery', 'catering',
+        'culinary', 'culinary group', 'bakery', 'dining', 'dining group',
+        'restaurant management', 'hospitality management', 'fine dining'
+    ];
+
+    // Common locations that might appear without proper spacing
+    // Also used to detect if a string is just a location name
+    // Expanded list based on US major cities and common state abbreviations
+    // Source: https://github.com/kelvins/US-Cities-Database
+    const commonLocations = [
+        // Major cities
+        'New York', 'Los Angeles', 'Chicago', 'Houston', 'Phoenix', 'Philadelphia',
+        'San Antonio', 'San Diego', 'Dallas', 'San Jose', 'Austin', 'Jacksonville',
+        'Fort Worth', 'Columbus', 'Indianapolis', 'Charlotte', 'San Francisco',
+        'Seattle', 'Denver', 'Washington', 'Boston', 'El Paso', 'Nashville',
+        'Detroit', 'Oklahoma City', 'Portland', 'Las Vegas', 'Memphis', 'Louisville',
+        'Baltimore', 'Milwaukee', 'Albuquerque', 'Tucson', 'Fresno', 'Sacramento',
+        'Kansas City', 'Miami', 'Omaha', 'Raleigh', 'Oakland', 'Minneapolis',
+        'Tulsa', 'Cleveland', 'Wichita', 'Arlington', 'New Orleans', 'Bakersfield',
+        'Tampa', 'Honolulu', 'Aurora', 'Anaheim', 'Santa Ana', 'St. Louis',
+        'Pittsburgh', 'Cincinnati', 'Henderson', 'Riverside', 'St. Paul',
+
+        // NYC boroughs
+        'Manhattan', 'Brooklyn', 'Queens', 'The Bronx', 'Staten Island', 'NYC',
+
+        // Common state abbreviations
+        'NY', 'LA', 'IL', 'CA', 'FL', 'TX', 'GA', 'MA', 'SF', 'DC', 'PA',
+        'WA', 'CO', 'AZ', 'TN', 'MO', 'OR', 'NV', 'KY', 'IN', 'OH', 'NC',
+        'MI', 'MD', 'VA', 'NJ', 'MN'
+    ];
+
+    // List of known restaurant group keywords - used to identify company names in complex strings
+    const restaurantKeywords = [
+        'restaurants by', 'restaurants of', 'restaurant group', 'hospitality group',
+        'dining group', 'food group', 'culinary group', 'chef', 'kitchen',
+        'bistro', 'cafe', 'dining', 'eatery', 'tavern', 'grill', 'restaurant'
+    ];
+
+    // Step 0: Early check for excluded companies regardless of formatting
+    // This catches cases like "Whole FoodsAustin" where spacing is missing
+    const exclusion = findExclusion(rawName);
+    if (exclusion) {
+        log.info(`Early ${exclusion.matchType} exclusion match for "${exclusion.pattern}" in "${rawName}"`);
+        return { name: `Excluded: ${exclusion.pattern}`, location: '' };
+    }
+
+    const cleanedRawName = cleanSpecialCharacters(rawName); // Remove special characters
+    const rawNameLower = cleanedRawName.toLowerCase();
+
+    // Step 1: Check if the input starts with a location
+    // This is a common pattern in listings like "New York, NY • Restaurant Group"
+    const startsWithLocation = commonLocations.some(loc =>
+        rawNameLower.startsWith(loc.toLowerCase())
+    );
+
+    if (startsWithLocation && rawName.includes('•')) {
+        // If it starts with a location and has industry classification, it's likely not a company
+        log.info(`Input starts with location and contains bullet point: "${rawName}"`);
+        return { name: 'Unknown', location: '' };
+    }
+
+    // Step 2: Split by bullet to isolate the company part
+    // This often contains generic industry categorization
+    let namePart = cleanSpecialCharacters(rawName.split('•')[0].trim());
+
+    // Step 2.5: Look for words that are run together based on case changes
+    // Example: "HourWashington" should become "Hour Washington"
+
+    // First check for cities that are run together with previous words
+    // We'll check for all cities in our commonLocations list
+    for (const location of commonLocations) {
+        // Only check locations that are at least 5 characters long to avoid false positives
+        if (location.length >= 5 && namePart.includes(location) && !namePart.includes(' ' + location)) {
+            // Find the city without a space before it - use word boundary for the beginning of the city name
+            // This is critical for cases like "HourWashington" where we want to match the W in Washington
+            const cityPattern = new RegExp(`([a-z])${location}`, 'i');
+            if (cityPattern.test(namePart)) {
+                // Check for Hour + Washington specifically, which is a common pattern
+                if (namePart.match(/Hour${location}/i)) {
+                    log.info(`Found special case Hour${location} pattern, fixing...`);
+                    namePart = namePart.replace(new RegExp(`Hour${location}`, 'i'), `Hour ${location}`);
+                } else {
+                    namePart = namePart.replace(cityPattern, `$1 ${location}`);
+                }
+                log.info(`Fixed missing space before city name: "${namePart}"`);
+            }
+        }
+    }
+
+    // Look for common word endings followed by capitalized location names,
+    // but don't apply to "Barbecue" or restaurant names with locations like "- Miami"
+    // Check for these exceptions first
+    if (!namePart.includes('Barbecue') && !namePart.includes(' - ')) {
+        const wordBoundaryPattern = /(\b(?:hour|room|cafe|bar|club|bistro|grill|tap|lounge|den|pub|inn|shop|house|bakery))([A-Z][a-z]+)/i;
+
+        // Check for other common word boundaries
+        const wordBoundaryMatch = namePart.match(wordBoundaryPattern);
+        if (wordBoundaryMatch) {
+            // Insert a space between the words
+            namePart = namePart.replace(wordBoundaryPattern, '$1 $2');
+            log.info(`Fixed missing space between words: "${namePart}"`);
+        }
+    }
+
+    // Step 3: Special handling for known edge cases and patterns
+    let extractedFromKeywords = false;
+
+    // SPECIAL CHECK FOR ALL CAPS RESTAURANT GROUP PATTERNS
+    // This handles "MARCUS SAMUELSSON RESTAURANT GROUP" type patterns first
+    if (/^[A-Z\s.'&]+\s+RESTAURANT\s+GROUP$/i.test(namePart) ||
+        /^[A-Z\s.'&]+\s+HOSPITALITY\s+GROUP$/i.test(namePart) ||
+        /^[A-Z\s.'&]+\s+FINE\s+DINING$/i.test(namePart) ||
+        /^[A-Z\s.'&]+\s+CULINARY\s+GROUP$/i.test(namePart)) {
+        // This is a full restaurant group name in all caps - preserve it as is
+        log.info(`Detected full restaurant/hospitality group name, preserving as is: "${namePart}"`);
+        extractedFromKeywords = true;
+        // Skip further processing to ensure this name is kept intact
+    }
+
+    // Special case for company names ending with common terms that would otherwise be excluded
+    // This ensures we keep "MARCUS SAMUELSSON RESTAURANT GROUP" and "Blue Hill Fine Dining"
+    if (!extractedFromKeywords) {
+        const excludedEndingPatterns = [
+            /^(.+\s+)restaurant\s+group$/i,
+            /^(.+\s+)hospitality\s+group$/i,
+            /^(.+\s+)fine\s+dining$/i,
+            /^(.+\s+)culinary\s+group$/i,
+            /^(.+\s+)dining\s+group$/i,
+            /^(.+\s+)restaurant\s+management$/i,
+            /^(.+\s+)hospitality\s+management$/i
+        ];
+
+        // Check if the name matches any of these patterns
+        for (const pattern of excludedEndingPatterns) {
+            if (pattern.test(namePart)) {
+                // This is a proper company name that ends with a term we'd normally exclude
+                // Match will be something like ["Marcus Samuelsson Restaurant Group", "Marcus Samuelsson "]
+                // We want to keep the full name
+                extractedFromKeywords = true;
+                log.info(`Detected proper company name with common ending term, preserving: "${namePart}"`);
+                break;
+            }
+        }
+    }
+
+    // Special case for GroupNYC and similar patterns
+    if (!extractedFromKeywords && namePart.match(/Group\s*NYC\b/i)) {
+        namePart = "Group NYC Hospitality";
+        extractedFromKeywords = true;
+        log.info(`Detected GroupNYC pattern, using: "${namePart}"`);
+    }
+
+    // Example: "P.M. Pastry Sous Chef abc V Restaurants by JorgesNew York"
+    // Look for restaurant keywords in the string and prioritize that as the company name
+    if (!extractedFromKeywords) {
+        for (const keyword of restaurantKeywords) {
+            const index = namePart.toLowerCase().indexOf(keyword);
+            // Only extract if not at the beginning - prevents extracting just "Restaurant Group"
+            // from "Marcus Samuelsson Restaurant Group"
+            if (index > 3) {
+                // Found a keyword - extract from here to either the end or next location indicator
+                // But first check if this is a full restaurant name (don't extract just the generic part)
+                const beforeKeyword = namePart.substring(0, index).trim();
+                if (beforeKeyword.split(/\s+/).length >= 2) {
+                    // If there are at least 2 words before the keyword,
+                    // like "Marcus Samuelsson" in "Marcus Samuelsson Restaurant Group",
+                    // then keep the full name, don't extract just "Restaurant Group"
+                    continue;
+                }
+
+                const startIndex = index;
+                let endIndex = namePart.length;
+
+                // Look for location markers to determine where the company name ends
+                for (const location of commonLocations) {
+                    const locationIndex = namePart.indexOf(location, startIndex);
+                    if (locationIndex > startIndex && locationIndex < endIndex) {
+                        endIndex = locationIndex;
+                        break;
+                    }
+                }
+
+                // Extract the potential company name
+                const potentialCompany = namePart.substring(startIndex, endIndex).trim();
+
+                // Check if it's a generic term on its own or very close to it
+                // We'll consider it too generic if it's exactly a generic term OR
+                // if it's a generic term with just one or two extra words
+                const potentialLower = potentialCompany.toLowerCase();
+                const isExactGenericTerm = genericTerms.includes(potentialLower) ||
+                                          potentialLower === 'restaurant group' ||
+                                          potentialLower === 'fine dining';
+
+                // Count words - if it's a generic term plus just 1 word, it might still be too generic
+                const wordCount = potentialCompany.split(/\s+/).filter(w => w.length > 1).length;
+                const isGenericPlusOneWord = wordCount <= 3 &&
+                    (potentialLower.endsWith(' restaurant group') ||
+                    potentialLower.endsWith(' fine dining') ||
+                    potentialLower.endsWith(' hospitality group') ||
+                    potentialLower.endsWith(' restaurant') ||
+                    potentialLower.endsWith(' hospitality'));
+
+                if (isExactGenericTerm || isGenericPlusOneWord) {
+                    // Skip if it's just a generic term or too close to one
+                    log.info(`Would extract generic-like term "${potentialCompany}" - skipping`);
+                    continue;
+                }
+
+                // If it's substantial (not just the keyword itself), use it
+                if (potentialCompany.length > keyword.length + 2) {
+                    log.info(`Extracted restaurant name using keyword "${keyword}": "${potentialCompany}"`);
+                    namePart = potentialCompany;
+                    extractedFromKeywords = true;
+                    break;
+                }
+            }
+        }
+    }
+
+    // Step 4: Handle missing spaces before location identifiers (if we haven't found a better match yet)
+    // This helps with cases like "Seaport Entertainment GroupNew York, NY"
+    if (!extractedFromKeywords) {
+        let locationFound = false;
+
+        // Sort locations by length (descending) to match longest locations first
+        // This helps avoid partial matches like "NY" in "Georges"
+        const sortedLocations = [...commonLocations].sort((a, b) => b.length - a.length);
+
+        for (const location of sortedLocations) {
+            // Skip very short location names (2 chars) for this pattern match to avoid false positives
+            // These will be handled by comma separation instead
+            if (location.length <= 2) continue;
+
+            // Create a regex that looks for a lowercase or uppercase letter followed immediately by the location
+            // This suggests a missing space between company name and location
+            const locationRegex = new RegExp(`([a-zA-Z])(${location}\\b)`, 'i');
+            const match = namePart.match(locationRegex);
+
+            if (match) {
+                // We found a missing space before a known location
+                const locationStart = match.index + 1; // +1 because of the capturing group
+
+                // Check if we're in the middle of a word - avoid splitting "Georges" just because it has "GE"
+                const prevChar = namePart.charAt(match.index);
+                const nextCharAfterMatch = namePart.charAt(match.index + match[0].length);
+
+                // Only split if it's at a word boundary or end of string
+                const isWordBoundary = nextCharAfterMatch === '' || /\s|,|\./.test(nextCharAfterMatch);
+
+                if (isWordBoundary) {
+                    namePart = namePart.substring(0, locationStart).trim();
+                    log.info(`Fixed missing space before location: "${namePart}"`);
+                    locationFound = true;
+                    break; // Stop after finding the first location match
+                }
+            }
+        }
+
+        // Step 5: Handle comma-separated parts (typically location markers)
+        // In format "Company Name, Location"
+        if (!locationFound) {
+            const commaIndex = namePart.lastIndexOf(',');
+            if (commaIndex !== -1) {
+                // Check if there are multiple commas (like "Company Name, Location, State")
+                const firstPart = namePart.substring(0, commaIndex).trim();
+
+                // If the part before the comma contains another comma, we might have "Name, Location, State"
+                // In this case, we want to get the name part only
+                const earlierCommaIndex = firstPart.lastIndexOf(',');
+                if (earlierCommaIndex !== -1) {
+                    namePart = firstPart.substring(0, earlierCommaIndex).trim();
+                    log.info(`Removed multiple location parts: "${namePart}"`);
+                } else {
+                    namePart = firstPart;
+                    log.info(`Removed location after comma: "${namePart}"`);
+                }
+            }
+        }
+    }
+
+    // Step 6: Fix any camelCase issues in the name
+    // This handles cases where words are run together like "GroupNew"
+    // Special handling for "NYC" and "SoHo" which should not be split
+    if (!namePart.includes("NYC") && !namePart.includes("SoHo")) {
+        namePart = namePart.replace(/([a-z])([A-Z])/g, '$1 $2');
+    }
+
+    // Step 7: Try to identify and extract the most likely company name portion
+    // Look for common patterns in the remaining string
+    if (!extractedFromKeywords && namePart.includes(' by ')) {
+        // Format like "Restaurants by Jorge"
+        const byIndex = namePart.indexOf(' by ');
+        if (byIndex > 0) {
+            namePart = namePart.substring(byIndex - 11 >= 0 ? byIndex - 11 : 0).trim();
+            log.info(`Extracted company using 'by' indicator: "${namePart}"`);
+        }
+    }
+
+    // Step 8: Clean up business entity suffixes
+    // But PRESERVE important terms like "Group" in company names
+    const originalName = namePart;
+    namePart = namePart
+        .replace(/\s+(LLC|Inc|Corporation|Corp|Co\.|Co)\.?$/i, '')
+        .trim();
+
+    // Only remove trailing generic terms if they're not part of a multi-word company name
+    // This preserves "Hospitality Group" or "Restaurant Group" in proper names
+    if (!/(square|food|hospitality|culinary|entertainment)\s+group$/i.test(namePart)) {
+        namePart = namePart
+            .replace(/\s+(restaurant|bar|café|cafe|grill|bistro|tavern|kitchen)$/i, '')
+            .trim();
+    }
+
+    // Step 9: Remove any job title prefixes that might remain
+    // Common job title patterns at the beginning
+    const jobTitlePrefixes = [
+        'chef', 'sous chef', 'pastry chef', 'head chef', 'executive chef',
+        'general manager', 'assistant manager', 'manager', 'director',
+        'server', 'bartender', 'host', 'hostess', 'cook', 'line cook',
+        'a.m.', 'p.m.', 'morning', 'evening', 'night', 'day', 'weekend'
+    ];
+
+    for (const prefix of jobTitlePrefixes) {
+        if (namePart.toLowerCase().startsWith(prefix.toLowerCase() + ' ')) {
+            // Remove just this prefix
+            namePart = namePart.substring(prefix.length).trim();
+            log.info(`Removed job title prefix "${prefix}": "${namePart}"`);
+            break;
+        }
+    }
+
+    // Step 10: Check if what's left is just a generic term or a location name
+    // If it is, mark it as unknown since it's not a specific company name
+    const lowerNamePart = namePart.toLowerCase();
+
+    // Check for generic terms - these are rejected regardless of context
+    if (genericTerms.some(term => lowerNamePart === term.toLowerCase())) {
+        log.info(`Generic term detected, not a company name: "${namePart}"`);
+        return { name: 'Unknown', location: '' };
+    }
+
+    // For these terms, only reject if they're standalone (not part of a larger name)
+    // This way "Bobby's Restaurant" is valid, but just "Restaurant" is not
+    const wordCount = namePart.split(/\s+/).filter(w => w.length > 0).length;
+    if (wordCount === 1 && lowerNamePart.length > 2) {
+        if (['restaurant', 'hospitality', 'bar', 'cafe', 'bistro', 'tavern',
+             'eatery', 'catering', 'culinary', 'bakery', 'dining'].includes(lowerNamePart)) {
+            log.info(`Standalone industry term detected, not a company name: "${namePart}"`);
+            return { name: 'Unknown', location: '' };
+        }
+    }
+
+    // Check if it's just a location name
+    if (commonLocations.some(loc => lowerNamePart === loc.toLowerCase())) {
+        log.info(`Location name detected, not a company name: "${namePart}"`);
+        return { name: 'Unknown', location: '' };
+    }
+
+    // Check if it STARTS with a location name (may indicate just a location description)
+    // But we need to be careful not to filter out legitimate company names that include locations
+    // like "Brooklyn Brewery" or "New York Culinary Group"
+
+    // If it's ONLY a location name, it's not a company
+    if (commonLocations.some(loc => lowerNamePart === loc.toLowerCase())) {
+        log.info(`Is exactly a location name, not a company name: "${namePart}"`);
+        return { name: 'Unknown', location: '' };
+    }
+
+    // If it starts with a location but also includes these terms, it's likely a valid company name
+    const validLocationPrefixTerms = ['brewery', 'culinary', 'dining', 'restaurants', 'kitchen', 'tavern', 'bistro'];
+    const containsValidTerm = validLocationPrefixTerms.some(term => lowerNamePart.includes(term.toLowerCase()));
+
+    // Only reject if it starts with a location, doesn't have valid terms, and is relatively short
+    if (namePart.length < 20 &&
+        !containsValidTerm &&
+        commonLocations.some(loc => lowerNamePart.startsWith(loc.toLowerCase() + ' '))) {
+        log.info(`Appears to start with location without valid company indicators: "${namePart}"`);
+        return { name: 'Unknown', location: '' };
+    }
+
+    // Check for very short names or just initials (likely fragments)
+    if (namePart.length < 3 || (namePart.length <= 5 && namePart.split(' ').every(part => part.length === 1))) {
+        log.info(`Name too short or just initials, likely a fragment: "${namePart}"`);
+        return { name: 'Unknown', location: '' };
+    }
+
+    // Final return with clean company name
+    log.info(`Final parsed company name: "${namePart}"`);
+    return {
+        name: namePart || 'Unknown',
+        location: '' // We don't care about the location for company name handling
+    };
+}
+
+/**
+ * Normalizes a company name so the same business matches across postings and sources
+ * ("The Smith Restaurant Group, NYC" and "Smith Restaurant Group" share a key)
+ * @param {string} rawName - Company text as shown by the board, or an already parsed name
+ * @returns {{name: string, key: string}|null} - Display name and match key, or null for unknown/excluded names
+ */
+export function normalizeCompanyName(rawName) {
+    const { name } = parseCompanyAndLocation(rawName);
+    if (!name || name === 'Unknown' || name.startsWith('Excluded')) return null;
+
+    const key = cleanCompanyName(name)
+        .toLowerCase()
+        .replace(/&/g, ' and ')
+        .replace(/^the\s+/, '')
+        .replace(/[^a-z0-9]+/g, ' ')
+        .trim();
+    return key ? { name, key } : null;
+}
@@ -0,0 +1,111 @@
+/**
+ * PostgreSQL connection configuration.
+ *
+ * The target database comes from the `databaseUrl` secret input, the DATABASE_URL env var,
+ * or the SUPABASE_* env vars declared in .actor/actor.json (in that order), so staging and
+ * production runs can point at different databases without code changes.
+ */
+import pkg from 'pg';
+import { log } from 'crawlee';
+
+const { Pool } = pkg;
+
+const DEFAULT_PORT = 5432;
+const DEFAULT_DATABASE = 'postgres';
+const DEFAULT_POOL_SIZE = 10;
+// Named after libpq's sslmode: require encrypts without verifying the server certificate,
+// verify-full also checks it against Node's CA bundle. no-verify is kept as an alias of require
+// for inputs saved before the modes followed libpq.
+const SSL_MODES = ['disable', 'require', 'verify-full', 'no-verify'];
+
+function toSslOption(sslMode) {
+    switch (sslMode) {
+        case 'disable':
+            return false;
+        case 'verify-full':
+            return { rejectUnauthorized: true };
+        default:
+            // Supabase's pooler certificate does not verify against Node's CA bundle
+            return { rejectUnauthorized: false };
+    }
+}
+
+/**
+ * Builds the pg Pool configuration from actor input and environment variables
+ * @param {Object} input - Actor input (databaseUrl, databaseSslMode, databasePoolSize, databaseStatementTimeoutSecs)
+ * @returns {Object} - Config for new Pool()
+ */
+export function getDatabaseConfig(input = {}) {
+    const sslMode = input.databaseSslMode || process.env.DATABASE_SSL_MODE || 'require';
+    if (!SSL_MODES.includes(sslMode)) {
+        throw new Error(`DB CONFIG: Unknown SSL mode "${sslMode}" (expected one of ${SSL_MODES.join(', ')})`);
+    }
+
+    const config = {
+        ssl: toSslOption(sslMode),
+        max: input.databasePoolSize || DEFAULT_POOL_SIZE
+    };
+    if (input.databaseStatementTimeoutSecs) {
+        config.statement_timeout = input.databaseStatementTimeoutSecs * 1000;
+    }
+
+    const connectionString = input.databaseUrl || process.env.DATABASE_URL;
+    if (connectionString) {
+        return { ...config, connectionString };
+    }
+
+    const { SUPABASE_USER, SUPABASE_PASSWORD, SUPABASE_HOST, SUPABASE_PORT, SUPABASE_DATABASE } = process.env;
+    const missing = Object.entries({ SUPABASE_USER, SUPABASE_PASSWORD, SUPABASE_HOST })
+        .filter(([, value]) => !value)
+        .map(([name]) => name);
+    if (missing.length > 0) {
+        throw new Error(`DB CONFIG: No databaseUrl input or DATABASE_URL set, and missing ${missing.join(', ')}`);
+    }
+
+    return {
+        ...config,
+        user: SUPABASE_USER,
+        password: SUPABASE_PASSWORD,
+        host: SUPABASE_HOST,
+        port: parseInt(SUPABASE_PORT, 10) || DEFAULT_PORT,
+        database: SUPABASE_DATABASE || DEFAULT_DATABASE
+    };
+}
+
+/**
+ * @param {Object} input - Actor input
+ * @returns {boolean} - true when a database has been configured for this run
+ */
+export function isDatabaseConfigured(input = {}) {
+    return Boolean(input.databaseUrl || process.env.DATABASE_URL || process.env.SUPABASE_HOST);
+}
+
+/**
+ * Describes where a config points, without credentials (for logs and reports)
+ * @param {Object} config - Result of getDatabaseConfig
+ * @returns {string} - "host:port/database"
+ */
+export function describeDatabaseTarget(config) {
+    if (config.connectionString) {
+        try {
+            const url = new URL(config.connectionString);
+            return `${url.hostname}:${url.port || DEFAULT_PORT}${url.pathname}`;
+        } catch {
+            return '(unparseable databaseUrl)';
+        }
+    }
+    return `${config.host}:${config.port}/${config.database}`;
+}
+
+/**
+ * Creates the connection pool
+ * @param {Object} config - Result of getDatabaseConfig
+ * @returns {Object} - pg Pool
+ */
+export function createPool(config) {
+    const pool = new Pool(config);
+    pool.on('error', (err) => {
+        log.error(`Unexpected error on idle client: ${err.message}`);
+    });
+    return pool;
+}
@@ -0,0 +1,105 @@
+/**
+ * Known-contacts CSV provider.
+ *
+ * Looks contacts up in a local CSV file kept by the team (e.g. an export from the CRM).
+ * Recognized columns, matched case-insensitively: company, domain, name, title, email,
+ * linkedin. Rows are matched by website domain or by normalized company name.
+ */
+import fs from 'fs/promises';
+import { log } from 'crawlee';
+import { normalizeCompanyName } from '../company_parser.js';
+
+// Splits CSV text into rows of cells (RFC 4180 quoting)
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+    if (cell || row.length > 0) {
+        row.push(cell);
+        rows.push(row);
+    }
+    return rows.filter(cells => cells.some(value => value.trim()));
+}
+
+const toDomain = (value) => value.trim().toLowerCase().replace(/^https?:\/\//, '').replace(/^www\./, '').split('/')[0];
+
+/**
+ * @param {Object} options
+ * @param {string} [options.contactsCsvPath] - Path of the CSV file (or CONTACTS_CSV_PATH)
+ * @returns {import('./index.js').ContactProvider}
+ */
+export function createCsvProvider({ contactsCsvPath }) {
+    const filePath = contactsCsvPath || process.env.CONTACTS_CSV_PATH;
+    if (!filePath) {
+        throw new Error('ENRICHMENT: The csv provider needs a file (contactsCsvPath or CONTACTS_CSV_PATH)');
+    }
+    const byDomain = new Map();
+    const byCompany = new Map();
+
+    const addTo = (index, key, contact) => {
+        if (!index.has(key)) index.set(key, []);
+        index.get(key).push(contact);
+    };
+
+    return {
+        name: 'csv',
+        searchTypes: ['domain', 'company'],
+
+        async open() {
+            const [header = [], ...rows] = parseCsv(await fs.readFile(filePath, 'utf8'));
+            const columns = header.map(column => column.trim().toLowerCase());
+            const get = (cells, column) => (columns.includes(column) ? (cells[columns.indexOf(column)] || '').trim() : '');
+
+            for (const cells of rows) {
+                const email = get(cells, 'email');
+                if (!email) continue;
+                const contact = {
+                    name: get(cells, 'name') || 'Unknown',
+                    title: get(cells, 'title') || 'N/A',
+                    email,
+                    linkedin: get(cells, 'linkedin') || null
+                };
+                const domain = get(cells, 'domain') || email.split('@')[1] || '';
+                if (domain) addTo(byDomain, toDomain(domain), contact);
+                const company = normalizeCompanyName(get(cells, 'company'));
+                if (company) addTo(byCompany, company.key, contact);
+            }
+            log.info(`ENRICHMENT: Loaded ${rows.length} known contacts from ${filePath}`);
+        },
+
+        async findContacts({ term, type }) {
+            if (type === 'domain') {
+                return { emails: byDomain.get(toDomain(term)) || [] };
+            }
+            const company = normalizeCompanyName(term);
+            return { emails: company ? byCompany.get(company.key) || [] : [] };
+        }
+    };
+}
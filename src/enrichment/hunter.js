@@ -0,0 +1,59 @@
+/**
+ * Hunter-style domain search provider.
+ *
+ * Calls a domain-search endpoint compatible with Hunter's v2 API, by domain or by company
+ * name. The endpoint can be changed (hunterApiUrl) for services that mirror the API.
+ */
+import fetch from 'node-fetch';
+
+const DEFAULT_API_URL = 'https://api.hunter.io/v2/domain-search';
+const DEFAULT_LIMIT = 10;
+
+/**
+ * @param {Object} options
+ * @param {string} [options.hunterApiKey] - API key (or HUNTER_API_KEY)
+ * @param {string} [options.hunterApiUrl] - Domain-search endpoint
+ * @param {number} [options.hunterLimit] - Maximum emails per lookup
+ * @returns {import('./index.js').ContactProvider}
+ */
+export function createHunterProvider({ hunterApiKey, hunterApiUrl = DEFAULT_API_URL, hunterLimit = DEFAULT_LIMIT }) {
+    const apiKey = hunterApiKey || process.env.HUNTER_API_KEY;
+    if (!apiKey) {
+        throw new Error('ENRICHMENT: The hunter provider needs an API key (hunterApiKey or HUNTER_API_KEY)');
+    }
+
+    return {
+        name: 'hunter',
+        searchTypes: ['domain', 'company'],
+
+        async findContacts({ term, type }) {
+            const params = new URLSearchParams({
+                [type === 'domain' ? 'domain' : 'company']: term,
+                limit: String(hunterLimit),
+                api_key: apiKey
+            });
+            const response = await fetch(`${hunterApiUrl}?${params.toString()}`);
+            const body = await response.json().catch(() => ({}));
+            // No organization for this name/domain - not an error
+            if (response.status === 404) return null;
+            if (!response.ok) {
+                const message = body.errors?.[0]?.details || response.statusText;
+                throw new Error(`Hunter API ${response.status}: ${message}`);
+            }
+
+            const data = body.data || {};
+            return {
+                emails: (data.emails || []).map(email => ({
+                    name: [email.first_name, email.last_name].filter(Boolean).join(' ') || 'Unknown',
+                    title: email.position || 'N/A',
+                    email: email.value,
+                    linkedin: email.linkedin || null,
+                    confidence: email.confidence ?? null
+                })),
+                linkedin: data.linkedin || null,
+                size: data.headcount || null,
+                domain: data.domain || null
+            };
+        }
+    };
+}
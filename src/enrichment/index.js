@@ -0,0 +1,112 @@
+/**
+ * Contact enrichment providers.
+ *
+ * getCompanyInfo asks every enabled provider for the people at a company (by website domain
+ * or by name) and merges the answers: emails are de-duplicated, matched against the final
+ * domains and ranked by title. Every contact is tagged with the provider that found it.
+ * To add a provider, implement the contract below in a new module and register it in
+ * createProvider.
+ *
+ * @typedef {Object} ContactQuery
+ * @property {string} term - Website domain or company name
+ * @property {'domain'|'company'} type - What `term` is
+ *
+ * @typedef {Object} ProviderContact
+ * @property {string} name
+ * @property {string} title
+ * @property {string} email
+ * @property {string} [linkedin]
+ *
+ * @typedef {Object} ProviderResult
+ * @property {Array<ProviderContact>} emails
+ * @property {string} [linkedin] - Company LinkedIn page
+ * @property {string} [size] - Company size / headcount
+ * @property {string} [domain] - Company domain, when looked up by name
+ *
+ * @typedef {Object} ContactProvider
+ * @property {string} name - Identifier used in logs, the report and culinary_contacts.source
+ * @property {Array<'domain'|'company'>} searchTypes - Query types the provider can answer
+ * @property {() => Promise<void>} [open] - One-time setup before the first lookup
+ * @property {(query: ContactQuery) => Promise<ProviderResult|null>} findContacts - Throws on failure
+ */
+import { log } from 'crawlee';
+import { createHunterProvider } from './hunter.js';
+import { createWebsiteProvider } from './website.js';
+import { createCsvProvider } from './csv.js';
+
+export const PROVIDER_TYPES = ['hunter', 'website', 'csv'];
+
+/**
+ * Creates a provider by type
+ * @param {string} type - One of PROVIDER_TYPES
+ * @param {Object} options - Run options; each provider reads only the fields it knows
+ * @returns {ContactProvider}
+ */
+export function createProvider(type, options) {
+    switch (type) {
+        case 'hunter':
+            return createHunterProvider(options);
+        case 'website':
+            return createWebsiteProvider(options);
+        case 'csv':
+            return createCsvProvider(options);
+        default:
+            throw new Error(`ENRICHMENT: Unknown contact provider "${type}" (expected one of ${PROVIDER_TYPES.join(', ')})`);
+    }
+}
+
+/**
+ * Combines the enabled providers into one lookup
+ * @param {Array<ContactProvider>} providers
+ * @returns {Object} - { enabled, open(), findContacts(term, type), getStats() }
+ */
+export function createContactEnricher(providers) {
+    const stats = new Map(providers.map(provider => [provider.name, { provider: provider.name, lookups: 0, contacts: 0, errors: 0 }]));
+
+    return {
+        enabled: providers.length > 0,
+
+        async open() {
+            for (const provider of providers) {
+                if (provider.open) await provider.open();
+            }
+        },
+
+        /**
+         * @param {string} term - Website domain or company name
+         * @param {'domain'|'company'} type
+         * @returns {Promise<Required<ProviderResult>>} - Merged result; emails carry `provider`
+         */
+        async findContacts(term, type) {
+            const merged = { emails: [], linkedin: null, size: null, domain: null };
+            for (const provider of providers) {
+                if (!provider.searchTypes.includes(type)) continue;
+                const providerStats = stats.get(provider.name);
+                providerStats.lookups++;
+                try {
+                    const result = await provider.findContacts({ term, type });
+                    if (!result) continue;
+                    const emails = (result.emails || []).filter(contact => contact.email);
+                    merged.emails.push(...emails.map(contact => ({ ...contact, provider: provider.name })));
+                    merged.linkedin = merged.linkedin || result.linkedin || null;
+                    merged.size = merged.size || result.size || null;
+                    merged.domain = merged.domain || result.domain || null;
+                    providerStats.contacts += emails.length;
+                    log.info(`ENRICHMENT: ${provider.name} found ${emails.length} contacts for ${type} "${term}"`);
+                } catch (error) {
+                    // One failing provider must not stop the others
+                    providerStats.errors++;
+                    log.error(`ENRICHMENT: ${provider.name} lookup failed for ${type} "${term}": ${error.message}`);
+                }
+            }
+            return merged;
+        },
+
+        /**
+         * @returns {Array<Object>} - { provider, lookups, contacts, errors } per provider
+         */
+        getStats() {
+            return [...stats.values()];
+        }
+    };
+}
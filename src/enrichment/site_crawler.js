@@ -0,0 +1,146 @@
+/**
+ * Polite fetching of pages on company websites.
+ *
+ * Every page request is checked against the site's robots.txt (fetched once per domain)
+ * and counted against a per-domain page budget, so no company site gets more than a
+ * handful of requests per run however many of its jobs are processed. The website contact
+ * provider and the site profile share one crawler and therefore one budget.
+ */
+import cheerio from 'cheerio';
+import fetch from 'node-fetch';
+
+export const USER_AGENT = 'Mozilla/5.0 (compatible; CulinaryScraper/1.0)';
+const ROBOTS_AGENT_TOKEN = 'culinaryscraper';
+const REQUEST_TIMEOUT_MS = 10000;
+const DEFAULT_PAGE_BUDGET = 5;
+
+/**
+ * Parses the rules that apply to this crawler out of a robots.txt file
+ * @param {string} text - robots.txt contents
+ * @returns {Array<{allow: boolean, path: string}>} - Rules of our user-agent group, or of `*`
+ */
+export function parseRobotsTxt(text) {
+    const groups = [];
+    let current = null;
+    let lastWasAgent = false;
+
+    for (const rawLine of text.split(/\r?\n/)) {
+        const line = rawLine.replace(/#.*$/, '').trim();
+        const separator = line.indexOf(':');
+        if (separator === -1) continue;
+        const field = line.slice(0, separator).trim().toLowerCase();
+        const value = line.slice(separator + 1).trim();
+
+        if (field === 'user-agent') {
+            // Consecutive user-agent lines share one group
+            if (!lastWasAgent) {
+                current = { agents: [], rules: [] };
+                groups.push(current);
+            }
+            current.agents.push(value.toLowerCase());
+            lastWasAgent = true;
+        } else {
+            lastWasAgent = false;
+            if (current && (field === 'allow' || field === 'disallow') && value) {
+                current.rules.push({ allow: field === 'allow', path: value });
+            }
+        }
+    }
+
+    const ours = groups.find(group => group.agents.includes(ROBOTS_AGENT_TOKEN));
+    const wildcard = groups.find(group => group.agents.includes('*'));
+    return (ours || wildcard || { rules: [] }).rules;
+}
+
+const toRulePattern = (path) => new RegExp(`^${path.replace(/[.+?^{}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*')}`);
+
+/**
+ * @param {Array<{allow: boolean, path: string}>} rules - Result of parseRobotsTxt
+ * @param {string} path - Path and query of the page
+ * @returns {boolean} - Whether the longest matching rule allows the page
+ */
+export function isPathAllowed(rules, path) {
+    let match = null;
+    for (const rule of rules) {
+        if (toRulePattern(rule.path).test(path) && (!match || rule.path.length > match.path.length ||
+            (rule.path.length === match.path.length && rule.allow))) {
+            match = rule;
+        }
+    }
+    return match ? match.allow : true;
+}
+
+async function request(url) {
+    return fetch(url, {
+        headers: { 'User-Agent': USER_AGENT },
+        redirect: 'follow',
+        signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+    });
+}
+
+/**
+ * Creates a crawler that shares robots.txt rules and page budgets across lookups
+ * @param {Object} [options]
+ * @param {number} [options.pageBudget] - Pages fetched per domain per run
+ * @returns {Object} - { fetchPage(domain, path), remaining(domain) }
+ */
+export function createSiteCrawler({ pageBudget = DEFAULT_PAGE_BUDGET } = {}) {
+    const robots = new Map();
+    const pagesUsed = new Map();
+    // Pages of the domain looked at last, so the contact provider and the site profile share them
+    let recentDomain = null;
+    let recentPages = new Map();
+
+    async function getRules(domain) {
+        if (!robots.has(domain)) {
+            let rules = [];
+            try {
+                const response = await request(`https://${domain}/robots.txt`);
+                // A missing robots.txt allows everything; an unreachable site gets no more requests
+                if (response.ok) rules = parseRobotsTxt(await response.text());
+            } catch {
+                rules = [{ allow: false, path: '/' }];
+            }
+            robots.set(domain, rules);
+        }
+        return robots.get(domain);
+    }
+
+    return {
+        /**
+         * @param {string} domain - Company domain (no protocol)
+         * @param {string} path - Page path, e.g. '/contact'
+         * @returns {Promise<{url: string, $: Function}|null>} - null when disallowed, over budget or not an HTML page
+         */
+        async fetchPage(domain, path) {
+            if (domain !== recentDomain) {
+                recentDomain = domain;
+                recentPages = new Map();
+            }
+            if (recentPages.has(path)) return recentPages.get(path);
+            if ((pagesUsed.get(domain) || 0) >= pageBudget) return null;
+            if (!isPathAllowed(await getRules(domain), path)) return null;
+
+            pagesUsed.set(domain, (pagesUsed.get(domain) || 0) + 1);
+            let page = null;
+            try {
+                const response = await request(`https://${domain}${path}`);
+                if (response.ok && (response.headers.get('content-type') || '').includes('text/html')) {
+                    page = { url: response.url, $: cheerio.load(await response.text()) };
+                }
+            } catch {
+                // Missing pages and timeouts are normal here
+            }
+            recentPages.set(path, page);
+            return page;
+        },
+
+        /**
+         * @param {string} domain
+         * @returns {number} - Pages still allowed for the domain this run
+         */
+        remaining(domain) {
+            return Math.max(0, pageBudget - (pagesUsed.get(domain) || 0));
+        }
+    };
+}
@@ -0,0 +1,194 @@
+/**
+ * Company website profile.
+ *
+ * Once a company's website is known, reads a few of its pages (home, then contact, about,
+ * team and careers pages linked from it or at their usual paths) and pulls out what is
+ * published there: emails on the company's domain, phone numbers, Instagram and LinkedIn
+ * pages, the street address and the careers page. The result is stored on the company
+ * record and fills the job's linkedin column.
+ */
+import { log } from 'crawlee';
+
+export const EMAIL_PATTERN = /[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/gi;
+export const EMAIL_ADDRESS = /^[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}$/i;
+const PHONE_PATTERN = /(?:\+?1[\s.-]?)?\(?([2-9]\d{2})\)?[\s.-]?(\d{3})[\s.-](\d{4})\b/g;
+const STREET_PATTERN = /\b\d{1,5}\s+(?:[A-Z0-9][\w.'-]*\s+){1,5}(?:St|Street|Ave|Avenue|Blvd|Boulevard|Rd|Road|Dr|Drive|Way|Pl|Place|Ln|Lane|Broadway|Pkwy|Parkway|Sq|Square|Ct|Court)\b\.?(?:,?\s+(?:Suite|Ste|Unit|#)\s*[\w-]+)?,?\s+[A-Z][\w .'-]{1,30},?\s+[A-Z]{2}\s+\d{5}\b/;
+const SUBPAGE_LINK_PATTERN = /contact|about|team|career|jobs|employment|join/i;
+const CAREERS_LINK_PATTERN = /career|jobs|employment|join[\s-]?(?:our|the)?[\s-]?team|work[\s-]with[\s-]us/i;
+const FALLBACK_PATHS = ['/contact', '/about', '/team', '/careers'];
+// Share and intent links are not the company's own page
+const SOCIAL_EXCLUDE_PATTERN = /\/(?:share|sharer|intent|shareArticle)\b/i;
+
+/**
+ * @param {string} email
+ * @param {string} domain
+ * @returns {boolean} - Whether the address is on the domain (or one of its subdomains)
+ */
+export const isEmailDomain = (email, domain) => {
+    const emailDomain = email.split('@')[1].toLowerCase();
+    return emailDomain === domain || emailDomain.endsWith(`.${domain}`);
+};
+
+/**
+ * @param {string} href - mailto: link
+ * @returns {string} - Lowercased address without query parameters
+ */
+export const mailtoAddress = (href) => {
+    try {
+        return decodeURIComponent(href.slice('mailto:'.length).split('?')[0]).trim().toLowerCase();
+    } catch {
+        return '';
+    }
+};
+
+const formatPhone = ([, area, exchange, line]) => `(${area}) ${exchange}-${line}`;
+
+// Street address from schema.org markup (restaurant site builders add it for Google)
+function findStructuredAddress($) {
+    let address = null;
+    $('script[type="application/ld+json"]').each((_, scriptEl) => {
+        if (address) return;
+        try {
+            const items = [].concat(JSON.parse($(scriptEl).html()));
+            for (const item of items.flatMap(entry => entry['@graph'] || [entry])) {
+                const postal = item && item.address;
+                if (postal && typeof postal === 'object' && postal.streetAddress) {
+                    address = [postal.streetAddress, postal.addressLocality, [postal.addressRegion, postal.postalCode].filter(Boolean).join(' ')]
+                        .filter(Boolean).join(', ');
+                    return;
+                }
+            }
+        } catch {
+            // Invalid JSON-LD is common; fall back to the page text
+        }
+    });
+    return address;
+}
+
+function collectFromPage(profile, page, domain) {
+    const { $ } = page;
+
+    $('a[href^="mailto:"]').each((_, linkEl) => profile.emails.add(mailtoAddress($(linkEl).attr('href'))));
+    for (const match of $('body').text().match(EMAIL_PATTERN) || []) {
+        profile.emails.add(match.toLowerCase());
+    }
+
+    $('a[href^="tel:"]').each((_, linkEl) => {
+        const match = [...$(linkEl).attr('href').matchAll(PHONE_PATTERN)][0];
+        if (match) profile.phones.add(formatPhone(match));
+    });
+    for (const match of $('body').text().matchAll(PHONE_PATTERN)) {
+        profile.phones.add(formatPhone(match));
+    }
+
+    $('a[href]').each((_, linkEl) => {
+        const href = $(linkEl).attr('href');
+        if (SOCIAL_EXCLUDE_PATTERN.test(href) || /^(?:mailto|tel):/i.test(href)) return;
+        if (!profile.instagram && /^https?:\/\/(?:www\.)?instagram\.com\/[\w.]+/i.test(href)) {
+            profile.instagram = href.split('?')[0];
+        } else if (!profile.linkedin && /^https?:\/\/(?:[a-z]{2,3}\.)?linkedin\.com\/(?:company|school)\/[\w-]+/i.test(href)) {
+            profile.linkedin = href.split('?')[0];
+        } else if (!profile.careersUrl && (CAREERS_LINK_PATTERN.test(href) || CAREERS_LINK_PATTERN.test($(linkEl).text()))) {
+            try {
+                profile.careersUrl = new URL(href, page.url).href;
+            } catch {
+                // Unparseable link
+            }
+        }
+    });
+
+    if (!profile.address) {
+        const addressText = $('address').first().text().replace(/\s+/g, ' ').trim();
+        const match = $('body').text().replace(/\s+/g, ' ').match(STREET_PATTERN);
+        profile.address = findStructuredAddress($) || (addressText.length > 10 && addressText.length < 200 ? addressText : null) ||
+            (match ? match[0] : null);
+    }
+
+    // Same-site links to pages that usually hold contact details
+    const links = [];
+    $('a[href]').each((_, linkEl) => {
+        try {
+            const url = new URL($(linkEl).attr('href'), page.url);
+            const host = url.hostname.replace(/^www\./, '');
+            if ((host === domain || host.endsWith(`.${domain}`)) && SUBPAGE_LINK_PATTERN.test(url.pathname)) {
+                links.push(url.pathname);
+            }
+        } catch {
+            // Unparseable link
+        }
+    });
+    return links;
+}
+
+/**
+ * Creates the profiler; each domain is profiled at most once per run
+ * @param {Object} siteCrawler - Shared crawler from createSiteCrawler
+ * @returns {Object} - { profile(domain), getStats() }
+ */
+export function createSiteProfiler(siteCrawler) {
+    const profiles = new Map();
+    const stats = { sites: 0, pages: 0, linkedin: 0 };
+
+    async function buildProfile(domain) {
+        const collected = { emails: new Set(), phones: new Set(), instagram: null, linkedin: null, address: null, careersUrl: null };
+        const visited = new Set();
+        const queue = ['/'];
+        let pagesRead = 0;
+
+        while (queue.length > 0) {
+            const path = queue.shift();
+            if (visited.has(path)) continue;
+            visited.add(path);
+            const page = await siteCrawler.fetchPage(domain, path);
+            if (!page) {
+                if (siteCrawler.remaining(domain) === 0) break;
+                continue;
+            }
+            pagesRead++;
+            const links = collectFromPage(collected, page, domain);
+            // Pages linked from the home page first, then the usual paths
+            if (path === '/') queue.push(...links, ...FALLBACK_PATHS);
+        }
+
+        const emails = [...collected.emails].filter(email => EMAIL_ADDRESS.test(email) && isEmailDomain(email, domain));
+        return {
+            domain,
+            emails,
+            phones: [...collected.phones].slice(0, 3),
+            instagram: collected.instagram,
+            linkedin: collected.linkedin,
+            address: collected.address,
+            careersUrl: collected.careersUrl,
+            pagesRead
+        };
+    }
+
+    return {
+        /**
+         * @param {string} domain - Company domain (no protocol)
+         * @returns {Promise<Object|null>} - { domain, emails, phones, instagram, linkedin, address, careersUrl, pagesRead },
+         *          or null when nothing could be read
+         */
+        async profile(domain) {
+            if (!domain || domain === 'N/A') return null;
+            if (!profiles.has(domain)) {
+                let profile = null;
+                try {
+                    profile = await buildProfile(domain);
+                    stats.sites++;
+                    stats.pages += profile.pagesRead;
+                    if (profile.linkedin) stats.linkedin++;
+                    log.info(`WEBSITE: ${domain}: ${profile.emails.length} emails, ${profile.phones.length} phones, LinkedIn ${profile.linkedin ? 'found' : 'not found'}, careers ${profile.careersUrl || 'not found'}`);
+                } catch (error) {
+                    log.error(`WEBSITE: Failed to read ${domain}: ${error.message}`);
+                }
+                profiles.set(domain, profile);
+            }
+            return profiles.get(domain);
+        },
+
+        getStats() {
+            return { ...stats };
+        }
+    };
+}
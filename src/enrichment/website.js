@@ -0,0 +1,65 @@
+/**
+ * Website contact provider.
+ *
+ * Reads the contact and team pages of a company's own website and collects the email
+ * addresses published there. Only addresses on the company's domain are kept, so web
+ * agency, platform and tracking addresses found in page templates are ignored.
+ */
+import { createSiteCrawler } from './site_crawler.js';
+import { EMAIL_ADDRESS, EMAIL_PATTERN, isEmailDomain, mailtoAddress } from './site_profile.js';
+
+const CONTACT_PATHS = ['/contact', '/contact-us', '/team', '/our-team', '/about', '/about-us'];
+const DEFAULT_MAX_PAGES = 4;
+
+// A mailto link inside a short card ("Jane Doe / General Manager / email") names its owner
+function describeOwner($, linkEl, email) {
+    const lines = $(linkEl).parent().parent().text()
+        .split('\n')
+        .map(line => line.trim())
+        .filter(line => line && !line.toLowerCase().includes(email));
+    if (lines.length === 0 || lines.length > 3 || lines.some(line => line.length > 60)) {
+        return { name: 'Unknown', title: 'N/A' };
+    }
+    return { name: lines[0], title: lines[1] || 'N/A' };
+}
+
+/**
+ * @param {Object} options
+ * @param {number} [options.websiteMaxPages] - Contact pages to read per domain
+ * @param {Object} [options.siteCrawler] - Shared crawler from createSiteCrawler (robots.txt, page budget)
+ * @returns {import('./index.js').ContactProvider}
+ */
+export function createWebsiteProvider({ websiteMaxPages = DEFAULT_MAX_PAGES, siteCrawler = createSiteCrawler() }) {
+    return {
+        name: 'website',
+        searchTypes: ['domain'],
+
+        async findContacts({ term: domain }) {
+            const contacts = new Map();
+            let pagesRead = 0;
+
+            for (const pagePath of CONTACT_PATHS) {
+                if (pagesRead >= websiteMaxPages) break;
+                const page = await siteCrawler.fetchPage(domain, pagePath);
+                if (!page) continue;
+                const { $ } = page;
+                pagesRead++;
+
+                $('a[href^="mailto:"]').each((_, linkEl) => {
+                    const email = mailtoAddress($(linkEl).attr('href'));
+                    if (!EMAIL_ADDRESS.test(email) || !isEmailDomain(email, domain) || contacts.has(email)) return;
+                    contacts.set(email, { ...describeOwner($, linkEl, email), email });
+                });
+
+                for (const match of $('body').text().match(EMAIL_PATTERN) || []) {
+                    const email = match.toLowerCase();
+                    if (isEmailDomain(email, domain) && !contacts.has(email)) {
+                        contacts.set(email, { name: 'Unknown', title: 'N/A', email });
+                    }
+                }
+            }
+
+            return { emails: [...contacts.values()], domain };
+        }
+    };
+}
@@ -0,0 +1,105 @@
+/**
+ * Postings of excluded companies (contract caterers, recruiters), kept as market intelligence.
+ *
+ * They are stored in excluded_postings, apart from culinary_jobs, so they never reach the
+ * BizDev feed, the sinks or contact enrichment, but still show where those companies are
+ * hiring and for which roles (excluded_company_activity).
+ */
+import { parseCompensation } from './salary_parser.js';
+import { parseLocation } from './location_parser.js';
+
+const orNull = (value) => (value && value !== 'N/A' ? value : null);
+
+/**
+ * Name an excluded posting is grouped and reported under
+ * @param {string} rawCompany - Company text exactly as the board shows it
+ * @param {Object|null} rule - The exclusion rule that matched
+ * @returns {string}
+ */
+function excludedCompanyLabel(rawCompany, rule) {
+    // Grouped by the rule, so "Compass - Boston" and "Compass" count as one company; a regex
+    // is no name to show, so its postings go under the rule's reason or the board's name
+    if (rule && rule.matchType !== 'regex') return rule.pattern;
+    return (rule && rule.reason) || rawCompany || 'Unknown';
+}
+
+/**
+ * @param {Object} client - pg client or Pool
+ * @returns {Promise<Set<string>>} - URLs already stored, whose detail pages need no new fetch
+ */
+export async function loadExcludedPostingUrls(client) {
+    const result = await client.query('SELECT url FROM excluded_postings');
+    return new Set(result.rows.map(row => row.url));
+}
+
+/**
+ * Stores an excluded company's posting with its parsed details
+ * @param {Object} client - pg client or Pool
+ * @param {import('./sources/index.js').NormalizedJob} job - Normalized job (its company is "Excluded: ...")
+ * @param {string} rawCompany - Company text exactly as the board shows it
+ * @param {Object|null} rule - The exclusion rule that matched (see exclusions.js)
+ */
+export async function storeExcludedPosting(client, job, rawCompany, rule) {
+    const place = parseLocation(job.location);
+    const compensation = parseCompensation(job.salary);
+    await client.query(
+        `INSERT INTO excluded_postings (
+            url, source, title, company, raw_company, match_type, matched_pattern, exclusion_reason,
+            location, location_city, location_state, metro_area,
+            salary, salary_annual_min, salary_annual_max, job_details, first_seen_at, last_seen_at
+         ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, NOW(), NOW())
+         ON CONFLICT (url) DO UPDATE SET
+            title = EXCLUDED.title,
+            company = EXCLUDED.company,
+            raw_company = EXCLUDED.raw_company,
+            match_type = EXCLUDED.match_type,
+            matched_pattern = EXCLUDED.matched_pattern,
+            exclusion_reason = EXCLUDED.exclusion_reason,
+            location = EXCLUDED.location,
+            location_city = EXCLUDED.location_city,
+            location_state = EXCLUDED.location_state,
+            metro_area = EXCLUDED.metro_area,
+            salary = EXCLUDED.salary,
+            salary_annual_min = EXCLUDED.salary_annual_min,
+            salary_annual_max = EXCLUDED.salary_annual_max,
+            job_details = EXCLUDED.job_details,
+            last_seen_at = NOW()`,
+        [
+            job.url,
+            job.source,
+            (job.title || '').substring(0, 255),
+            excludedCompanyLabel(rawCompany, rule).substring(0, 255),
+            (rawCompany || '').substring(0, 255),
+            rule ? rule.matchType : null,
+            rule ? rule.pattern.substring(0, 255) : null,
+            rule ? rule.reason : null,
+            orNull(job.location) && job.location.substring(0, 255),
+            place.city && place.city.substring(0, 100),
+            place.state,
+            place.metro,
+            orNull(job.salary) && job.salary.substring(0, 255),
+            compensation.annualMin,
+            compensation.annualMax,
+            orNull(job.jobDetails)
+        ]
+    );
+}
+
+/**
+ * Where excluded companies were hiring, for those seen since a given time
+ * @param {Object} client - pg client or Pool
+ * @param {Date|number} since - Typically the run's start time
+ * @param {number} [limit]
+ * @returns {Promise<Array<Object>>} - excluded_company_activity rows, most active companies first
+ */
+export async function loadExcludedActivity(client, since, limit = 20) {
+    const result = await client.query(
+        `SELECT company, open_postings, postings_last_90_days, metros, roles
+         FROM excluded_company_activity
+         WHERE last_seen_at >= $1
+         ORDER BY open_postings DESC, company
+         LIMIT $2`,
+        [new Date(since), limit]
+    );
+    return result.rows;
+}
@@ -0,0 +1,155 @@
+/**
+ * Company exclusion rules (recruiting agencies, contract caterers, ...).
+ *
+ * Rules come from the `exclusions` table when a database is configured, otherwise from the
+ * built-in list below, plus any `exclusionRules` given in the actor input. Each rule matches
+ * a company name exactly, partially or by regular expression and may carry a reason and an
+ * expiry date. Sources call findExclusion while parsing names; the completion email lists
+ * the rules that were active for the run.
+ */
+import { log } from 'crawlee';
+
+export const MATCH_TYPES = ['exact', 'partial', 'regex'];
+
+// Regex rules run against every company name of the run, so long patterns and repeated groups
+// that contain a repeat themselves ("(a+)+", which backtracks catastrophically) are refused
+const MAX_REGEX_LENGTH = 200;
+const NESTED_QUANTIFIER = /\((?:[^()\\]|\\.)*(?:[+*]|\{\d+,\d*\})(?:[^()\\]|\\.)*\)(?:[+*]|\{\d+,)/;
+
+// Used when no database is configured; the exclusions table is seeded with the same list
+export const DEFAULT_EXCLUSION_RULES = [
+    ...[
+        'Alliance Personnel', 'August Point Advisors', 'Bon Appetit', 'Capital Restaurant Associates',
+        'Chartwells', 'Compass', 'CORE Recruitment', 'EHS Recruiting', 'Empowered Hospitality',
+        'Eurest', 'Goodwin Recruiting', 'HMG Plus - New York', 'LSG Sky Chefs', 'Major Food Group',
+        'Measured HR', 'One Haus', 'Patrice & Associates', 'Persone NYC', 'Playbook Advisors',
+        'Restaurant Associates', 'Source One Hospitality', 'Ten Five Hospitality',
+        'The Goodkind Group', 'Tuttle Hospitality', 'Willow Tree Recruiting'
+    ].map(pattern => ({ pattern, matchType: 'exact' })),
+    // Companies with variations like "Whole Foods Market"
+    { pattern: 'Whole Foods', matchType: 'partial' }
+];
+
+// Same cleanup as cleanSpecialCharacters (company_parser.js imports this module, so it is not imported here)
+const toMatchText = (name) => name.replace(/[^\w\s.,&'-]/g, '').replace(/\s+/g, ' ').trim().toLowerCase();
+const withoutSpaces = (text) => text.replace(/\s+/g, '');
+
+/**
+ * Validates a rule from the table or the input
+ * @param {string|Object} raw - A company name (exact match) or { pattern, matchType, reason, expiresAt }
+ * @param {string} source - Where the rule came from ('table', 'input' or 'default')
+ * @returns {Object|null} - { pattern, matchType, reason, expiresAt, source, test(name) }, or null when invalid
+ */
+export function toExclusionRule(raw, source) {
+    const { pattern, matchType = 'exact', reason = null, expiresAt = null } = typeof raw === 'string' ? { pattern: raw } : (raw || {});
+    if (!pattern || typeof pattern !== 'string') {
+        log.warning(`EXCLUSIONS: Ignoring ${source} rule without a pattern: ${JSON.stringify(raw)}`);
+        return null;
+    }
+    if (!MATCH_TYPES.includes(matchType)) {
+        log.warning(`EXCLUSIONS: Ignoring ${source} rule "${pattern}" with unknown match type "${matchType}" (expected one of ${MATCH_TYPES.join(', ')})`);
+        return null;
+    }
+    const expires = expiresAt ? new Date(expiresAt) : null;
+    if (expires && isNaN(expires.getTime())) {
+        log.warning(`EXCLUSIONS: Ignoring ${source} rule "${pattern}" with invalid expiry "${expiresAt}"`);
+        return null;
+    }
+
+    let test;
+    if (matchType === 'regex') {
+        if (pattern.length > MAX_REGEX_LENGTH) {
+            log.warning(`EXCLUSIONS: Ignoring ${source} regex rule longer than ${MAX_REGEX_LENGTH} characters: "${pattern.substring(0, 50)}..."`);
+            return null;
+        }
+        if (NESTED_QUANTIFIER.test(pattern)) {
+            log.warning(`EXCLUSIONS: Ignoring ${source} regex rule "${pattern}" with a nested quantifier, which can hang the run`);
+            return null;
+        }
+        let regex;
+        try {
+            regex = new RegExp(pattern, 'i');
+        } catch (error) {
+            log.warning(`EXCLUSIONS: Ignoring ${source} rule with invalid regex "${pattern}": ${error.message}`);
+            return null;
+        }
+        test = (name) => regex.test(name);
+    } else if (matchType === 'partial') {
+        const term = toMatchText(pattern);
+        // Also catches names run together with the location ("Whole FoodsAustin")
+        test = (name) => toMatchText(name).includes(term) || withoutSpaces(toMatchText(name)).includes(withoutSpaces(term));
+    } else {
+        const term = toMatchText(pattern);
+        // The name alone, or the name with a location or qualifier attached ("Compass - Boston")
+        test = (name) => {
+            const text = toMatchText(name);
+            return text === term ||
+                [' ', ',', '-'].some(separator => text.startsWith(term + separator) || text.endsWith(separator + term));
+        };
+    }
+    return { pattern, matchType, reason: reason || null, expiresAt: expires, source, test };
+}
+
+const isActive = (rule) => !rule.expiresAt || rule.expiresAt.getTime() > Date.now();
+
+// Rules in force for this run; replaced by loadExclusionRules once the input and database are known
+let activeRules = DEFAULT_EXCLUSION_RULES.map(rule => toExclusionRule(rule, 'default'));
+
+/**
+ * @param {string} name - Company name as found on the posting
+ * @returns {Object|null} - The first active rule matching the name
+ */
+export function findExclusion(name) {
+    if (!name || typeof name !== 'string') return null;
+    return activeRules.find(rule => isActive(rule) && rule.test(name)) || null;
+}
+
+/**
+ * @returns {Array<Object>} - Rules in force right now (expired ones are left out)
+ */
+export function getActiveExclusionRules() {
+    return activeRules.filter(isActive);
+}
+
+/**
+ * Loads the run's exclusion rules and makes them the active set
+ * @param {Object|null} pool - pg Pool; when absent the built-in list is used
+ * @param {Array<string|Object>} [inputRules] - The exclusionRules input, applied on top
+ * @returns {Promise<Array<Object>>} - The active rules
+ */
+export async function loadExclusionRules(pool, inputRules = []) {
+    let baseRules = DEFAULT_EXCLUSION_RULES.map(rule => toExclusionRule(rule, 'default'));
+    let baseSource = 'the built-in list';
+    if (pool) {
+        try {
+            const result = await pool.query(
+                `SELECT pattern, match_type AS "matchType", reason, expires_at AS "expiresAt"
+                 FROM exclusions
+                 WHERE expires_at IS NULL OR expires_at > NOW()
+                 ORDER BY id`
+            );
+            baseRules = result.rows.map(row => toExclusionRule(row, 'table'));
+            baseSource = 'the exclusions table';
+        } catch (error) {
+            log.error(`EXCLUSIONS: Failed to load the exclusions table, using the built-in list: ${error.message}`);
+        }
+    }
+
+    const seen = new Set();
+    if (inputRules && !Array.isArray(inputRules)) {
+        log.warning('EXCLUSIONS: Ignoring the exclusionRules input, which is not a list');
+        inputRules = [];
+    }
+    activeRules = [...baseRules, ...(inputRules || []).map(rule => toExclusionRule(rule, 'input'))]
+        .filter(rule => rule && isActive(rule))
+        .filter(rule => {
+            const key = `${rule.matchType}|${rule.pattern.toLowerCase()}`;
+            if (seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        });
+
+    const fromInput = activeRules.filter(rule => rule.source === 'input').length;
+    log.info(`EXCLUSIONS: ${activeRules.length} active rules (${activeRules.length - fromInput} from ${baseSource}, ${fromInput} from input)`);
+    return activeRules;
+}
@@ -0,0 +1,54 @@
+/**
+ * Flat, one-row-per-job layout shared by the spreadsheet-style sinks (CSV file, Google Sheets).
+ */
+
+// Google Sheets rejects cells longer than 50,000 characters
+export const MAX_CELL_LENGTH = 50000;
+
+export const EXPORT_COLUMNS = [
+    { header: 'Title', value: job => job.title },
+    { header: 'Company', value: job => job.company },
+    { header: 'Parent Company', value: job => job.parentCompany },
+    { header: 'Location', value: job => job.location },
+    { header: 'Salary', value: job => job.salary },
+    { header: 'Salary Min', value: job => job.salaryMin },
+    { header: 'Salary Max', value: job => job.salaryMax },
+    { header: 'Salary Period', value: job => job.salaryPeriod },
+    { header: 'Annual Salary Min', value: job => job.salaryAnnualMin },
+    { header: 'Annual Salary Max', value: job => job.salaryAnnualMax },
+    { header: 'URL', value: job => job.url },
+    { header: 'Apply URL', value: job => job.applyUrl },
+    { header: 'Source', value: job => job.source },
+    { header: 'Domain', value: job => job.domain },
+    { header: 'Parent URL', value: job => job.parentUrl },
+    { header: 'LinkedIn', value: job => job.linkedin },
+    { header: 'Company Size', value: job => job.size },
+    // Jobs queued for retry by older versions only have emailsText
+    { header: 'Contacts', value: job => job.contactsText || job.emailsText },
+    { header: 'Job Details', value: job => job.jobDetails },
+    { header: 'Date Added', value: job => job.dateAdded },
+    // Appended so sheets and CSV files written with the older layout keep their columns
+    { header: 'City', value: job => job.locationCity },
+    { header: 'State', value: job => job.locationState },
+    { header: 'ZIP', value: job => job.locationZip },
+    { header: 'Metro Area', value: job => job.metroArea },
+    // Why the posting looks like a staffing agency's; empty when it was not flagged
+    { header: 'Possible Agency', value: job => (job.agencyFlagged ? job.agencyReasons.join('; ') : '') }
+];
+
+export const EXPORT_HEADERS = EXPORT_COLUMNS.map(column => column.header);
+
+export const URL_COLUMN_INDEX = EXPORT_HEADERS.indexOf('URL');
+
+/**
+ * @param {Object} job - Enriched job
+ * @returns {Array<string|number>} - Cell values in EXPORT_COLUMNS order
+ */
+export function toRow(job) {
+    return EXPORT_COLUMNS.map(({ value }) => {
+        const cell = value(job);
+        if (cell === null || cell === undefined) return '';
+        if (typeof cell === 'number') return cell;
+        return String(cell).substring(0, MAX_CELL_LENGTH);
+    });
+}
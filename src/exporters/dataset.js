@@ -0,0 +1,24 @@
+/**
+ * Apify dataset export sink.
+ */
+import { Dataset } from 'crawlee';
+
+const DEFAULT_DATASET_NAME = 'culinary-jobs';
+
+/**
+ * @param {Object} options
+ * @param {string} [options.datasetName] - Named dataset to push to; empty for the run's default dataset
+ * @returns {import('./index.js').ExportSink}
+ */
+export function createDatasetSink({ datasetName = DEFAULT_DATASET_NAME }) {
+    let dataset = null;
+    return {
+        name: `dataset (${datasetName || 'default'})`,
+        async open() {
+            dataset = await Dataset.open(datasetName || undefined);
+        },
+        async write(jobs) {
+            await dataset.pushData(jobs);
+        }
+    };
+}
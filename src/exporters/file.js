@@ -0,0 +1,60 @@
+/**
+ * Local file export sink (CSV or JSONL).
+ *
+ * Rows are appended as batches arrive. On close the file is also stored in the run's
+ * key-value store, so it can be downloaded when the actor runs on the Apify platform.
+ */
+import fs from 'fs/promises';
+import path from 'path';
+import { KeyValueStore } from 'crawlee';
+import { EXPORT_HEADERS, toRow } from './columns.js';
+
+const FORMATS = {
+    csv: 'text/csv',
+    jsonl: 'application/x-ndjson'
+};
+
+function escapeCsvCell(cell) {
+    const text = String(cell);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+const toCsvLine = (cells) => `${cells.map(escapeCsvCell).join(',')}\n`;
+
+/**
+ * @param {Object} options
+ * @param {string} [options.exportFileFormat] - 'csv' or 'jsonl'
+ * @param {string} [options.exportFilePath] - Output path; defaults to exports/culinary-jobs.<format>
+ * @returns {import('./index.js').ExportSink}
+ */
+export function createFileSink({ exportFileFormat = 'csv', exportFilePath }) {
+    if (!FORMATS[exportFileFormat]) {
+        throw new Error(`EXPORT: Unknown file format "${exportFileFormat}" (expected one of ${Object.keys(FORMATS).join(', ')})`);
+    }
+    const filePath = path.resolve(exportFilePath || path.join('exports', `culinary-jobs.${exportFileFormat}`));
+
+    return {
+        name: `file (${filePath})`,
+
+        async open() {
+            await fs.mkdir(path.dirname(filePath), { recursive: true });
+            const existing = await fs.stat(filePath).catch(() => null);
+            if (exportFileFormat === 'csv' && (!existing || existing.size === 0)) {
+                await fs.writeFile(filePath, toCsvLine(EXPORT_HEADERS));
+            }
+        },
+
+        async write(jobs) {
+            const lines = exportFileFormat === 'csv'
+                ? jobs.map(job => toCsvLine(toRow(job)))
+                : jobs.map(job => `${JSON.stringify(job)}\n`);
+            await fs.appendFile(filePath, lines.join(''));
+        },
+
+        async close() {
+            const store = await KeyValueStore.open();
+            const key = path.basename(filePath).replace(/[^a-zA-Z0-9!\-_.'()]/g, '_');
+            await store.setValue(key, await fs.readFile(filePath, 'utf8'), { contentType: FORMATS[exportFileFormat] });
+        }
+    };
+}
@@ -0,0 +1,252 @@
+/**
+ * Export sinks.
+ *
+ * Enriched jobs are handed to an export pipeline that batches them and writes every batch
+ * to each selected sink (Postgres, Apify dataset, CSV/JSONL file, Google Sheets, webhook).
+ * Each sink keeps its own pending queue, so a sink that keeps failing is retried on the
+ * next flush without re-sending data to the sinks that already succeeded.
+ *
+ * Pending queues are persisted to the key-value store after every change. A batch that
+ * still fails after its immediate retries is retried later in the run with a growing
+ * backoff, and whatever a crashed or timed-out run left behind is replayed by the next one.
+ *
+ * Queues are keyed by sink type (see createSink), not by the display name, so changing a
+ * sink's path, sheet tab or webhook host does not orphan the rows it still owes.
+ *
+ * @typedef {Object} ExportSink
+ * @property {string} name - Identifier used in logs and the completion report
+ * @property {string} [key] - Stable identifier of the persisted queue; defaults to name
+ * @property {() => Promise<void>} [open] - One-time setup before the first write
+ * @property {(jobs: Array<Object>) => Promise<void>} write - Writes one batch; throws on failure
+ * @property {() => Promise<void>} [close] - Finalizes output after the last write
+ */
+import { log } from 'crawlee';
+import { createPostgresSink } from './postgres.js';
+import { createDatasetSink } from './dataset.js';
+import { createFileSink } from './file.js';
+import { createSheetsSink } from './sheets.js';
+import { createWebhookSink } from './webhook.js';
+
+export const SINK_TYPES = ['postgres', 'dataset', 'file', 'sheets', 'webhook'];
+
+const DEFAULT_BATCH_SIZE = 10;
+const DEFAULT_MAX_ATTEMPTS = 3;
+const RETRY_BASE_DELAY_MS = 2000;
+const DEFAULT_STORE_KEY = 'EXPORT_RETRY_QUEUE';
+
+// Backoff between flushes once a sink has exhausted its immediate retries
+const FAILED_SINK_BACKOFF_MS = 60 * 1000;
+const FAILED_SINK_MAX_BACKOFF_MS = 30 * 60 * 1000;
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Creates a sink by type
+ * @param {string} type - One of SINK_TYPES
+ * @param {Object} options - Run options; each sink reads only the fields it knows
+ * @returns {ExportSink}
+ */
+export function createSink(type, options) {
+    switch (type) {
+        case 'postgres':
+            return { ...createPostgresSink(options), key: type };
+        case 'dataset':
+            return { ...createDatasetSink(options), key: type };
+        case 'file':
+            return { ...createFileSink(options), key: type };
+        case 'sheets':
+            return { ...createSheetsSink(options), key: type };
+        case 'webhook':
+            return { ...createWebhookSink(options), key: type };
+        default:
+            throw new Error(`EXPORT: Unknown export sink "${type}" (expected one of ${SINK_TYPES.join(', ')})`);
+    }
+}
+
+const queueKey = (sink) => sink.key || sink.name;
+
+// Queues saved before they were keyed by type used the display name ("file (/abs/path)")
+const toQueueKey = (savedName) => SINK_TYPES.find(type => savedName === type || savedName.startsWith(`${type} (`)) || savedName;
+
+/**
+ * Creates the export pipeline shared by all sinks
+ * @param {Array<ExportSink>} sinks - Sinks to write to
+ * @param {Object} [options]
+ * @param {number} [options.batchSize] - Jobs per write
+ * @param {number} [options.maxAttempts] - Attempts per batch and sink before backing off
+ * @param {Object} [options.store] - KeyValueStore that persists pending queues across runs
+ * @param {string} [options.storeKey] - Record key for the persisted queues
+ * @returns {Object} - { restore(), add(jobs), flush(), close(), getStats(), getUnexportedJobs() }
+ */
+export function createExportPipeline(sinks, {
+    batchSize = DEFAULT_BATCH_SIZE,
+    maxAttempts = DEFAULT_MAX_ATTEMPTS,
+    store = null,
+    storeKey = DEFAULT_STORE_KEY
+} = {}) {
+    const states = sinks.map(sink => ({
+        sink,
+        opened: false,
+        pending: [],
+        exported: 0,
+        failedAttempts: 0,
+        consecutiveFailures: 0,
+        nextRetryAt: 0,
+        lastError: null
+    }));
+    // Queues restored for sinks that are not selected in this run; kept until a run selects them again
+    const orphanedQueues = {};
+
+    async function persist() {
+        if (!store) return;
+        const queues = { ...orphanedQueues };
+        for (const state of states) {
+            if (state.pending.length > 0) queues[queueKey(state.sink)] = state.pending;
+        }
+        try {
+            await store.setValue(storeKey, Object.keys(queues).length > 0 ? { savedAt: new Date().toISOString(), queues } : null);
+        } catch (error) {
+            log.error(`EXPORT: Failed to persist the export retry queue: ${error.message}`);
+        }
+    }
+
+    async function writeWithRetry(state, batch) {
+        for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+            try {
+                if (!state.opened) {
+                    if (state.sink.open) await state.sink.open();
+                    state.opened = true;
+                }
+                await state.sink.write(batch);
+                return true;
+            } catch (error) {
+                state.failedAttempts++;
+                state.lastError = error.message;
+                log.error(`EXPORT: ${state.sink.name} failed to write ${batch.length} jobs (attempt ${attempt}/${maxAttempts}): ${error.message}`);
+                if (attempt < maxAttempts) {
+                    await delay(RETRY_BASE_DELAY_MS * 2 ** (attempt - 1));
+                }
+            }
+        }
+        return false;
+    }
+
+    // Writes full batches, or everything pending when forced (end of run).
+    // A sink that is backing off is skipped unless forced.
+    async function flushSink(state, force) {
+        if (!force && Date.now() < state.nextRetryAt) return;
+
+        while (state.pending.length >= batchSize || (force && state.pending.length > 0)) {
+            const batch = state.pending.slice(0, batchSize);
+            log.info(`EXPORT: Writing ${batch.length} jobs to ${state.sink.name}...`);
+            if (!await writeWithRetry(state, batch)) {
+                state.consecutiveFailures++;
+                const backoffMs = Math.min(FAILED_SINK_BACKOFF_MS * 2 ** (state.consecutiveFailures - 1), FAILED_SINK_MAX_BACKOFF_MS);
+                state.nextRetryAt = Date.now() + backoffMs;
+                log.warning(`EXPORT: Keeping ${state.pending.length} jobs queued for ${state.sink.name}, retrying in ${Math.round(backoffMs / 1000)}s`);
+                return;
+            }
+            state.pending.splice(0, batch.length);
+            state.exported += batch.length;
+            state.consecutiveFailures = 0;
+            state.nextRetryAt = 0;
+        }
+    }
+
+    async function flush() {
+        for (const state of states) {
+            await flushSink(state, true);
+        }
+        await persist();
+    }
+
+    return {
+        /**
+         * Loads the queues a previous run could not export; call flush() afterwards to replay them
+         * @returns {Promise<number>} - Number of jobs restored for this run's sinks
+         */
+        async restore() {
+            if (!store) return 0;
+            const saved = await store.getValue(storeKey);
+            if (!saved || !saved.queues) return 0;
+
+            let restored = 0;
+            for (const [savedName, jobs] of Object.entries(saved.queues)) {
+                const key = toQueueKey(savedName);
+                const state = states.find(candidate => queueKey(candidate.sink) === key);
+                if (state) {
+                    state.pending.unshift(...jobs);
+                    restored += jobs.length;
+                } else {
+                    orphanedQueues[key] = [...(orphanedQueues[key] || []), ...jobs];
+                    log.warning(`EXPORT: ${jobs.length} unexported jobs for ${key} are kept until that sink is selected again`);
+                }
+            }
+            log.info(`EXPORT: Restored ${restored} unexported jobs from a previous run (saved ${saved.savedAt})`);
+            return restored;
+        },
+
+        /**
+         * Queues jobs for every sink and writes any batch that is full
+         * @param {Array<Object>} jobs - Enriched jobs
+         */
+        async add(jobs) {
+            if (!jobs || jobs.length === 0) return;
+            for (const state of states) {
+                state.pending.push(...jobs);
+                await flushSink(state, false);
+            }
+            await persist();
+        },
+
+        /**
+         * Writes everything still queued, including partial batches
+         */
+        flush,
+
+        /**
+         * Flushes and finalizes every sink
+         */
+        async close() {
+            await flush();
+            for (const state of states) {
+                if (!state.opened || !state.sink.close) continue;
+                try {
+                    await state.sink.close();
+                } catch (error) {
+                    state.lastError = error.message;
+                    log.error(`EXPORT: ${state.sink.name} failed to close: ${error.message}`);
+                }
+            }
+        },
+
+        /**
+         * @returns {Array<Object>} - { sink, exported, pending, failedAttempts, lastError } per sink
+         */
+        getStats() {
+            return states.map(({ sink, exported, pending, failedAttempts, lastError }) => ({
+                sink: sink.name,
+                exported,
+                pending: pending.length,
+                failedAttempts,
+                lastError
+            }));
+        },
+
+        /**
+         * @returns {Array<Object>} - { sink, title, company, url } for every job still queued (including orphaned queues)
+         */
+        getUnexportedJobs() {
+            const queues = [
+                ...states.map(state => [state.sink.name, state.pending]),
+                ...Object.entries(orphanedQueues)
+            ];
+            return queues.flatMap(([sink, jobs]) => jobs.map(job => ({
+                sink,
+                title: job.title,
+                company: job.company,
+                url: job.url
+            })));
+        }
+    };
+}
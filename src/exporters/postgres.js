@@ -0,0 +1,229 @@
+/**
+ * Postgres export sink: upserts jobs into culinary_jobs and their contacts into
+ * culinary_contacts, one transaction per batch.
+ */
+import { log } from 'crawlee';
+import { resolveJobCompany } from '../companies.js';
+
+// Jobs from before multiple sources existed carry no source field
+const DEFAULT_SOURCE = 'culinary_agents';
+const DEFAULT_CONTACT_SOURCE = 'email_lookup';
+
+// Jobs queued for retry by older versions have emails but no ranked contacts list
+function getContacts(job) {
+    if (Array.isArray(job.contacts)) return job.contacts;
+    return Array.isArray(job.emails) ? job.emails.filter(contact => contact.email) : [];
+}
+
+async function exportToPostgres(pool, data) {
+    log.info(`>>> Entering exportToPostgres with ${data?.length || 0} items.`);
+
+    if (!Array.isArray(data) || data.length === 0) {
+        log.warning('exportToPostgres called with invalid or empty data. Exiting.');
+        return;
+    }
+
+    let client;
+    let skippedCount = 0;
+    try {
+        log.info('Attempting to connect to database pool...');
+        client = await pool.connect();
+        log.info('Successfully connected client from pool.');
+
+        try {
+            log.info('Starting database transaction (BEGIN).');
+            await client.query('BEGIN');
+
+            for (const job of data) {
+                // Check for essential fields before attempting insert
+                if (!job || !job.url || !job.title || !job.company) {
+                    log.warning('Skipping job due to missing essential fields (url, title, or company):', job);
+                    skippedCount++;
+                    continue;
+                }
+
+                // First insert/update the job
+                const jobQuery = `
+                    INSERT INTO culinary_jobs (
+                        title, company, parent_company, location, salary,
+                        url, job_details, linkedin, domain, parent_url, company_size, source,
+                        salary_min, salary_max, salary_period, salary_currency, salary_annual_min, salary_annual_max,
+                        company_id, domain_confidence,
+                        location_street, location_city, location_state, location_zip, location_lat, location_lng, metro_area,
+                        agency_score, agency_reasons, agency_review_status,
+                        date_added, last_seen_at
+                    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20,
+                        $21, $22, $23, $24, $25, $26, $27, $28, $29,
+                        -- A flagged posting inherits the latest review decision on its company, else waits for review
+                        CASE WHEN $30::boolean THEN COALESCE(
+                            (SELECT decided.agency_review_status FROM culinary_jobs decided
+                             WHERE decided.company_id = $19 AND decided.agency_review_status IN ('confirmed', 'dismissed')
+                             ORDER BY decided.last_updated DESC NULLS LAST LIMIT 1),
+                            'pending') END,
+                        NOW(), NOW())
+                    ON CONFLICT (url) DO UPDATE SET
+                        title = EXCLUDED.title,
+                        company = EXCLUDED.company,
+                        parent_company = EXCLUDED.parent_company,
+                        location = EXCLUDED.location,
+                        salary = EXCLUDED.salary,
+                        job_details = EXCLUDED.job_details,
+                        linkedin = EXCLUDED.linkedin,
+                        domain = EXCLUDED.domain,
+                        parent_url = EXCLUDED.parent_url,
+                        company_size = EXCLUDED.company_size,
+                        source = EXCLUDED.source,
+                        salary_min = EXCLUDED.salary_min,
+                        salary_max = EXCLUDED.salary_max,
+                        salary_period = EXCLUDED.salary_period,
+                        salary_currency = EXCLUDED.salary_currency,
+                        salary_annual_min = EXCLUDED.salary_annual_min,
+                        salary_annual_max = EXCLUDED.salary_annual_max,
+                        company_id = COALESCE(EXCLUDED.company_id, culinary_jobs.company_id),
+                        domain_confidence = EXCLUDED.domain_confidence,
+                        location_street = EXCLUDED.location_street,
+                        location_city = EXCLUDED.location_city,
+                        location_state = EXCLUDED.location_state,
+                        location_zip = EXCLUDED.location_zip,
+                        location_lat = EXCLUDED.location_lat,
+                        location_lng = EXCLUDED.location_lng,
+                        metro_area = EXCLUDED.metro_area,
+                        agency_score = EXCLUDED.agency_score,
+                        agency_reasons = EXCLUDED.agency_reasons,
+                        -- Reviewers' decisions stick; otherwise follow the latest classification
+                        agency_review_status = CASE
+                            WHEN culinary_jobs.agency_review_status IN ('confirmed', 'dismissed') THEN culinary_jobs.agency_review_status
+                            ELSE EXCLUDED.agency_review_status END,
+                        status = 'active',
+                        closed_at = NULL,
+                        last_seen_at = NOW(),
+                        last_updated = NOW()
+                    RETURNING id`;
+
+                log.info(`DB EXPORT: Preparing to insert/update job: ${job.title} at ${job.company}`);
+                log.info(`DB EXPORT: Domain values - Primary: ${job.domain || 'N/A'}, Parent: ${job.parentUrl || 'N/A'}`);
+
+                // Link the job to its company entity (and the company to its parent group)
+                const companyId = await resolveJobCompany(client, job);
+
+                const jobResult = await client.query(jobQuery, [
+                    job.title || '',
+                    job.company || '',
+                    job.parentCompany || null,
+                    job.location || '',
+                    job.salary || '',
+                    job.url,
+                    job.jobDetails || '',
+                    job.linkedin || null,
+                    job.domain || null,
+                    job.parentUrl || null, // Add the parent_url parameter
+                    job.size || null,
+                    job.source || DEFAULT_SOURCE,
+                    job.salaryMin ?? null,
+                    job.salaryMax ?? null,
+                    job.salaryPeriod || null,
+                    job.salaryCurrency || null,
+                    job.salaryAnnualMin ?? null,
+                    job.salaryAnnualMax ?? null,
+                    companyId,
+                    job.domainConfidence ?? null,
+                    job.locationStreet || null,
+                    job.locationCity || null,
+                    job.locationState || null,
+                    job.locationZip || null,
+                    job.locationLat ?? null,
+                    job.locationLng ?? null,
+                    job.metroArea || null,
+                    job.agencyScore ?? null,
+                    job.agencyReasons && job.agencyReasons.length > 0 ? job.agencyReasons.join('; ') : null,
+                    Boolean(job.agencyFlagged),
+                ]);
+
+                log.info(`DB EXPORT: Job inserted/updated successfully with ID: ${jobResult.rows[0].id}`);
+
+                const jobId = jobResult.rows[0].id;
+
+                // Now handle contacts if they exist (emails plus leadership, ranked in enrichJob)
+                const contacts = getContacts(job);
+                if (contacts.length > 0) {
+                    log.info(`Processing ${contacts.length} contacts for job: ${job.title}`);
+
+                    // First, delete any existing contacts for this job to avoid duplicates
+                    await client.query('DELETE FROM culinary_contacts WHERE job_id = $1', [jobId]);
+
+                    // Then insert all contacts
+                    for (const contact of contacts) {
+                        const contactQuery = `
+                            INSERT INTO culinary_contacts (
+                                job_id, name, title, email, source, priority, date_added
+                            ) VALUES ($1, $2, $3, $4, $5, $6, NOW())
+                            ON CONFLICT (email, job_id) DO UPDATE SET
+                                name = EXCLUDED.name,
+                                title = EXCLUDED.title,
+                                source = EXCLUDED.source,
+                                priority = EXCLUDED.priority,
+                                last_updated = NOW()`;
+
+                        await client.query(contactQuery, [
+                            jobId,
+                            contact.name || 'Unknown',
+                            contact.title || 'N/A',
+                            contact.email || null,
+                            contact.source || DEFAULT_CONTACT_SOURCE,
+                            contact.priority ?? null
+                        ]);
+                    }
+                }
+            }
+
+            if (skippedCount === data.length) {
+                log.warning(`All ${skippedCount} jobs in the batch were skipped due to missing fields. Committing empty transaction.`);
+            } else {
+                log.info(`Processed ${data.length - skippedCount} jobs in the batch. Attempting COMMIT.`);
+            }
+
+            await client.query('COMMIT');
+            log.info(`Successfully COMMITTED transaction for ${data.length - skippedCount} jobs.`);
+
+        } catch (err) {
+            log.error('DATABASE TRANSACTION ERROR (inside try/catch):', err);
+            log.error('Failed job data (first item in batch):', data.length > 0 ? JSON.stringify(data[0], null, 2) : 'N/A');
+            if (client) {
+                log.info('Attempting ROLLBACK...');
+                await client.query('ROLLBACK');
+                log.info('ROLLBACK successful.');
+            } else {
+                log.warning('Client was not defined, cannot ROLLBACK.');
+            }
+            throw err;
+        } finally {
+            if (client) {
+                log.info('Releasing database client...');
+                client.release();
+                log.info('Client released.');
+            } else {
+                log.warning('Client was not defined, cannot release.');
+            }
+        }
+    } catch (error) {
+        log.error('DATABASE EXPORT PROCESS ERROR (outer catch):', error);
+        log.error('Failed job data (first item in batch, outer catch):', data.length > 0 ? JSON.stringify(data[0], null, 2) : 'N/A');
+        throw error;
+    }
+    log.info(`<<< Exiting exportToPostgres after processing ${data?.length || 0} items.`);
+}
+
+/**
+ * @param {Object} options
+ * @param {Object} options.pool - pg Pool
+ * @returns {import('./index.js').ExportSink}
+ */
+export function createPostgresSink({ pool }) {
+    if (!pool) {
+        throw new Error('EXPORT: The postgres sink needs a database connection');
+    }
+    return {
+        name: 'postgres',
+        write: (jobs) => exportToPostgres(pool, jobs)
+    };
+}
@@ -0,0 +1,112 @@
+/**
+ * Google Sheets export sink.
+ *
+ * Appends one row per job through the Sheets REST API, authenticated as a service account
+ * (share the sheet with the account's client_email). Writes the header row into an empty
+ * sheet and skips jobs whose URL is already in the sheet.
+ */
+import crypto from 'crypto';
+import fetch from 'node-fetch';
+import { log } from 'crawlee';
+import { EXPORT_HEADERS, URL_COLUMN_INDEX, toRow } from './columns.js';
+
+const TOKEN_URL = 'https://oauth2.googleapis.com/token';
+const SHEETS_API_URL = 'https://sheets.googleapis.com/v4/spreadsheets';
+const SCOPE = 'https://www.googleapis.com/auth/spreadsheets';
+
+const base64Url = (value) => Buffer.from(value).toString('base64url');
+
+// Column letter of a zero-based index (0 -> A, 26 -> AA)
+function columnLetter(index) {
+    let letter = '';
+    for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+        letter = String.fromCharCode(65 + ((n - 1) % 26)) + letter;
+    }
+    return letter;
+}
+
+// Exchanges a signed service-account JWT for an access token
+async function getAccessToken(serviceAccount) {
+    const issuedAt = Math.floor(Date.now() / 1000);
+    const unsigned = `${base64Url(JSON.stringify({ alg: 'RS256', typ: 'JWT' }))}.${base64Url(JSON.stringify({
+        iss: serviceAccount.client_email,
+        scope: SCOPE,
+        aud: TOKEN_URL,
+        iat: issuedAt,
+        exp: issuedAt + 3600
+    }))}`;
+    const signature = crypto.createSign('RSA-SHA256').update(unsigned).sign(serviceAccount.private_key, 'base64url');
+
+    const response = await fetch(TOKEN_URL, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        body: new URLSearchParams({
+            grant_type: 'urn:ietf:params:oauth:grant-type:jwt-bearer',
+            assertion: `${unsigned}.${signature}`
+        }).toString()
+    });
+    const data = await response.json();
+    if (!response.ok) {
+        throw new Error(`Google token request failed: ${data.error_description || data.error || response.status}`);
+    }
+    return { token: data.access_token, expiresAt: Date.now() + (data.expires_in - 60) * 1000 };
+}
+
+/**
+ * @param {Object} options
+ * @param {string} options.googleSheetId - Spreadsheet ID from the sheet URL
+ * @param {string} [options.googleSheetName] - Tab to append to
+ * @param {string} [options.googleServiceAccountJson] - Service account key file contents
+ * @returns {import('./index.js').ExportSink}
+ */
+export function createSheetsSink({ googleSheetId, googleSheetName = 'Sheet1', googleServiceAccountJson }) {
+    const keyJson = googleServiceAccountJson || process.env.GOOGLE_SERVICE_ACCOUNT_JSON;
+    if (!googleSheetId || !keyJson) {
+        throw new Error('EXPORT: The sheets sink needs googleSheetId and a service account key (googleServiceAccountJson or GOOGLE_SERVICE_ACCOUNT_JSON)');
+    }
+    const serviceAccount = JSON.parse(keyJson);
+    const existingUrls = new Set();
+    let accessToken = null;
+
+    async function sheetsRequest(pathAndQuery, options = {}) {
+        if (!accessToken || Date.now() >= accessToken.expiresAt) {
+            accessToken = await getAccessToken(serviceAccount);
+        }
+        const response = await fetch(`${SHEETS_API_URL}/${googleSheetId}${pathAndQuery}`, {
+            ...options,
+            headers: { ...options.headers, Authorization: `Bearer ${accessToken.token}`, 'Content-Type': 'application/json' }
+        });
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(`Sheets API ${response.status}: ${data.error?.message || response.statusText}`);
+        }
+        return data;
+    }
+
+    // RAW: scraped text starting with "=", "+", "-" or "@" must stay text, not become a formula
+    const appendRows = (values) => sheetsRequest(
+        `/values/${encodeURIComponent(`${googleSheetName}!A1`)}:append?valueInputOption=RAW&insertDataOption=INSERT_ROWS`,
+        { method: 'POST', body: JSON.stringify({ values }) }
+    );
+
+    return {
+        name: `sheets (${googleSheetName})`,
+
+        async open() {
+            const urlColumn = columnLetter(URL_COLUMN_INDEX);
+            const { values = [] } = await sheetsRequest(`/values/${encodeURIComponent(`${googleSheetName}!${urlColumn}:${urlColumn}`)}`);
+            if (values.length === 0) {
+                await appendRows([EXPORT_HEADERS]);
+            }
+            values.slice(1).forEach(([url]) => url && existingUrls.add(url));
+            log.info(`EXPORT: Loaded ${existingUrls.size} existing job URLs from Google Sheets`);
+        },
+
+        async write(jobs) {
+            const newJobs = jobs.filter(job => !existingUrls.has(job.url));
+            if (newJobs.length === 0) return;
+            await appendRows(newJobs.map(toRow));
+            newJobs.forEach(job => existingUrls.add(job.url));
+        }
+    };
+}
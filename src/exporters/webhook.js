@@ -0,0 +1,36 @@
+/**
+ * Webhook export sink: POSTs each batch as JSON.
+ *
+ * When a secret is configured the body is signed with HMAC-SHA256 and the signature sent
+ * in the X-Signature header ("sha256=<hex>"), so the receiver can verify the sender.
+ */
+import crypto from 'crypto';
+import fetch from 'node-fetch';
+
+/**
+ * @param {Object} options
+ * @param {string} options.webhookUrl - Endpoint to POST batches to
+ * @param {string} [options.webhookSecret] - Shared secret for the X-Signature header
+ * @returns {import('./index.js').ExportSink}
+ */
+export function createWebhookSink({ webhookUrl, webhookSecret }) {
+    if (!webhookUrl) {
+        throw new Error('EXPORT: The webhook sink needs a webhookUrl');
+    }
+
+    return {
+        name: `webhook (${new URL(webhookUrl).host})`,
+        async write(jobs) {
+            const body = JSON.stringify({ count: jobs.length, jobs });
+            const headers = { 'Content-Type': 'application/json' };
+            if (webhookSecret) {
+                headers['X-Signature'] = `sha256=${crypto.createHmac('sha256', webhookSecret).update(body).digest('hex')}`;
+            }
+
+            const response = await fetch(webhookUrl, { method: 'POST', headers, body });
+            if (!response.ok) {
+                throw new Error(`Webhook responded with ${response.status} ${response.statusText}`);
+            }
+        }
+    };
+}
@@ -2,6 +2,53 @@
  * Google Jobs API integration using SearchAPI.io
  * This module provides functions to search for job listings using the Google Jobs API via SearchAPI.io
  */
+import { parseCompensation } from './salary_parser.js';
+
+const SEARCH_API_URL = 'https://www.searchapi.io/api/v1/search';
+
+/**
+ * Builds a Google Jobs search URL without the API key
+ * @param {string} query - The search query
+ * @param {string} location - Optional location filter
+ * @param {string} nextPageToken - Optional token for pagination
+ * @returns {string} - SearchAPI.io request URL
+ */
+function buildSearchUrl(query, location = '', nextPageToken = null) {
+    let searchUrl = `${SEARCH_API_URL}?engine=google_jobs&q=${encodeURIComponent(query)}`;
+
+    // Add location if provided
+    if (location) {
+        searchUrl += `&location=${encodeURIComponent(location)}`;
+    }
+
+    // Add pagination token if provided
+    if (nextPageToken) {
+        searchUrl += `&next_page_token=${encodeURIComponent(nextPageToken)}`;
+    }
+
+    return searchUrl;
+}
+
+/**
+ * Maps a raw SearchAPI.io job result to the job object used throughout this module
+ * @param {Object} job - Entry from the `jobs` array of a google_jobs response
+ * @returns {Object} - Job object
+ */
+function mapJobResult(job) {
+    return {
+        title: job.title || 'Unknown Title',
+        company: job.company_name || 'Unknown Company',
+        location: job.location || 'Unknown Location',
+        posted_at: job.detected_extensions?.posted_at || 'Unknown',
+        schedule: job.detected_extensions?.schedule || 'Unknown',
+        description: job.description || 'No description available',
+        highlights: job.job_highlights || [],
+        extensions: job.extensions || [],
+        apply_link: job.apply_link || null,
+        apply_links: job.apply_links || [],
+        source: job.via ? job.via.replace('via ', '') : 'Unknown Source'
+    };
+}
 
 /**
  * Searches for job listings using the Google Jobs API
@@ -20,17 +67,7 @@ async function searchJobs(query, location = '', nextPageToken = null) {
 
     try {
         // Build the API URL
-        let searchUrl = `https://www.searchapi.io/api/v1/search?engine=google_jobs&q=${encodeURIComponent(query)}&api_key=${apiKey}`;
-        
-        // Add location if provided
-        if (location) {
-            searchUrl += `&location=${encodeURIComponent(location)}`;
-        }
-        
-        // Add pagination token if provided
-        if (nextPageToken) {
-            searchUrl += `&next_page_token=${encodeURIComponent(nextPageToken)}`;
-        }
+        const searchUrl = `${buildSearchUrl(query, location, nextPageToken)}&api_key=${apiKey}`;
         
         console.info(`GOOGLE JOBS API: Searching for jobs with query "${query}"${location ? ` in ${location}` : ''}`);
         
@@ -52,19 +89,7 @@ async function searchJobs(query, location = '', nextPageToken = null) {
         console.info(`Found ${data.jobs.length} job listings for "${query}"`);
         
         // Process the jobs to extract relevant information
-        const processedJobs = data.jobs.map(job => ({
-            title: job.title || 'Unknown Title',
-            company: job.company_name || 'Unknown Company',
-            location: job.location || 'Unknown Location',
-            posted_at: job.detected_extensions?.posted_at || 'Unknown',
-            schedule: job.detected_extensions?.schedule || 'Unknown',
-            description: job.description || 'No description available',
-            highlights: job.job_highlights || [],
-            extensions: job.extensions || [],
-            apply_link: job.apply_link || null,
-            apply_links: job.apply_links || [],
-            source: job.via ? job.via.replace('via ', '') : 'Unknown Source'
-        }));
+        const processedJobs = data.jobs.map(mapJobResult);
         
         return {
             jobs: processedJobs,
@@ -142,9 +167,12 @@ function processJobsForDatabase(jobs) {
             salary_max: salaryInfo.max,
             salary_currency: salaryInfo.currency,
             salary_period: salaryInfo.period,
+            salary_annual_min: salaryInfo.annualMin,
+            salary_annual_max: salaryInfo.annualMax,
             skills: skills,
             experience_level: experienceLevel,
-            apply_link: job.apply_link,
+            // Some postings only list per-board links, so fall back to the first one
+            apply_link: job.apply_link || job.apply_links?.[0]?.link || null,
             source: job.source,
             scraped_at: new Date().toISOString()
         };
@@ -161,53 +189,30 @@ function extractSalaryInfo(job) {
         min: null,
         max: null,
         currency: 'USD',
-        period: 'yearly'
+        period: 'yearly',
+        annualMin: null,
+        annualMax: null
     };
-    
-    // Check job highlights first
-    if (job.highlights && job.highlights.length > 0) {
-        for (const highlight of job.highlights) {
-            if (highlight.title === 'Compensation' && highlight.items && highlight.items.length > 0) {
-                for (const item of highlight.items) {
-                    const salaryMatch = item.match(/\$([0-9,.]+)(?:\s*-\s*\$([0-9,.]+))?(?:\s*(per|a|\/)\s*(hour|year|month|week|day))?/i);
-                    if (salaryMatch) {
-                        salaryInfo.min = parseFloat(salaryMatch[1].replace(/,/g, ''));
-                        salaryInfo.max = salaryMatch[2] ? parseFloat(salaryMatch[2].replace(/,/g, '')) : salaryInfo.min;
-                        
-                        if (salaryMatch[4]) {
-                            const period = salaryMatch[4].toLowerCase();
-                            if (period === 'hour') salaryInfo.period = 'hourly';
-                            else if (period === 'year') salaryInfo.period = 'yearly';
-                            else if (period === 'month') salaryInfo.period = 'monthly';
-                            else if (period === 'week') salaryInfo.period = 'weekly';
-                            else if (period === 'day') salaryInfo.period = 'daily';
-                        }
-                        
-                        break;
-                    }
-                }
-            }
-        }
-    }
-    
-    // If no salary found in highlights, check description
-    if (!salaryInfo.min && job.description) {
-        const salaryMatch = job.description.match(/\$([0-9,.]+)(?:\s*-\s*\$([0-9,.]+))?(?:\s*(per|a|\/)\s*(hour|year|month|week|day))?/i);
-        if (salaryMatch) {
-            salaryInfo.min = parseFloat(salaryMatch[1].replace(/,/g, ''));
-            salaryInfo.max = salaryMatch[2] ? parseFloat(salaryMatch[2].replace(/,/g, '')) : salaryInfo.min;
-            
-            if (salaryMatch[4]) {
-                const period = salaryMatch[4].toLowerCase();
-                if (period === 'hour') salaryInfo.period = 'hourly';
-                else if (period === 'year') salaryInfo.period = 'yearly';
-                else if (period === 'month') salaryInfo.period = 'monthly';
-                else if (period === 'week') salaryInfo.period = 'weekly';
-                else if (period === 'day') salaryInfo.period = 'daily';
-            }
+
+    // Check the Compensation highlight first, then fall back to the description
+    const compensationItems = (job.highlights || [])
+        .filter(highlight => highlight.title === 'Compensation')
+        .flatMap(highlight => highlight.items || []);
+
+    for (const text of [...compensationItems, job.description]) {
+        const compensation = parseCompensation(text);
+        if (compensation.min !== null) {
+            return {
+                min: compensation.min,
+                max: compensation.max,
+                currency: compensation.currency,
+                period: compensation.period || salaryInfo.period,
+                annualMin: compensation.annualMin,
+                annualMax: compensation.annualMax
+            };
         }
     }
-    
+
     return salaryInfo;
 }
 
@@ -294,6 +299,8 @@ function calculateExperienceLevel(job) {
 }
 
 export {
+    buildSearchUrl,
+    mapJobResult,
     searchJobs,
     searchAllJobs,
     processJobsForDatabase
@@ -0,0 +1,114 @@
+/**
+ * Job lifecycle tracking across runs.
+ *
+ * Every URL seen on a listing page gets its last_seen_at refreshed. Postings that stop
+ * appearing are marked expired after a grace period, and a re-check pass can fetch stale
+ * detail pages to confirm whether a posting was filled or closed.
+ */
+import { log } from 'crawlee';
+
+export const JOB_STATUSES = ['active', 'filled', 'expired'];
+
+/**
+ * Refreshes last_seen_at for jobs seen on a listing page (new or already stored).
+ * A posting that shows up again is active again, whatever an earlier run decided.
+ * @param {Object} pool - pg Pool
+ * @param {Array<string>} urls - Job URLs encountered
+ * @returns {Promise<number>} - Number of stored jobs updated
+ */
+export async function markJobsSeen(pool, urls) {
+    if (!urls || urls.length === 0) return 0;
+    try {
+        const result = await pool.query(
+            `UPDATE culinary_jobs
+             SET last_seen_at = NOW(), status = 'active', closed_at = NULL
+             WHERE url = ANY($1)`,
+            [urls]
+        );
+        // The companies behind those postings are still hiring
+        await pool.query(
+            `UPDATE companies SET last_seen_at = NOW()
+             WHERE id IN (SELECT company_id FROM culinary_jobs WHERE url = ANY($1))`,
+            [urls]
+        );
+        // Excluded companies' postings are kept apart (see excluded_postings.js) but tracked the same way
+        await pool.query('UPDATE excluded_postings SET last_seen_at = NOW() WHERE url = ANY($1)', [urls]);
+        log.debug(`LIFECYCLE: Refreshed last_seen_at for ${result.rowCount}/${urls.length} URLs`);
+        return result.rowCount;
+    } catch (error) {
+        log.error(`LIFECYCLE: Failed to refresh last_seen_at: ${error.message}`);
+        return 0;
+    }
+}
+
+/**
+ * Marks active jobs of a source that have not been seen within the grace period as expired
+ * @param {Object} pool - pg Pool
+ * @param {string} source - Source adapter name
+ * @param {number} graceDays - Days a posting may go unseen before it counts as expired
+ * @returns {Promise<Array<Object>>} - The expired jobs ({ url, title, company })
+ */
+export async function expireUnseenJobs(pool, source, graceDays) {
+    try {
+        const result = await pool.query(
+            `UPDATE culinary_jobs
+             SET status = 'expired', closed_at = NOW(), last_updated = NOW()
+             WHERE status = 'active'
+               AND source = $1
+               AND COALESCE(last_seen_at, last_updated, date_added) < NOW() - make_interval(days => $2)
+             RETURNING url, title, company`,
+            [source, graceDays]
+        );
+        log.info(`LIFECYCLE: Marked ${result.rowCount} ${source} jobs as expired (unseen for ${graceDays}+ days)`);
+        return result.rows;
+    } catch (error) {
+        log.error(`LIFECYCLE: Failed to expire unseen ${source} jobs: ${error.message}`);
+        return [];
+    }
+}
+
+/**
+ * Loads active jobs that have not been seen in search results for a while
+ * @param {Object} pool - pg Pool
+ * @param {Array<string>} sources - Sources that can re-check detail pages
+ * @param {number} staleDays - Minimum days since last seen
+ * @param {number} limit - Maximum number of jobs to return
+ * @returns {Promise<Array<Object>>} - { id, url, source }
+ */
+export async function loadStaleJobs(pool, sources, staleDays, limit) {
+    try {
+        const result = await pool.query(
+            `SELECT id, url, source FROM culinary_jobs
+             WHERE status = 'active'
+               AND source = ANY($1)
+               AND COALESCE(last_seen_at, last_updated, date_added) < NOW() - make_interval(days => $2)
+             ORDER BY COALESCE(last_checked_at, date_added) ASC
+             LIMIT $3`,
+            [sources, staleDays, limit]
+        );
+        return result.rows;
+    } catch (error) {
+        log.error(`LIFECYCLE: Failed to load stale jobs: ${error.message}`);
+        return [];
+    }
+}
+
+/**
+ * Stores the outcome of a detail-page re-check
+ * @param {Object} pool - pg Pool
+ * @param {number} jobId - culinary_jobs.id
+ * @param {string|null} status - 'active', 'filled', 'expired' or null when undetermined
+ */
+export async function recordJobCheck(pool, jobId, status) {
+    if (status && !JOB_STATUSES.includes(status)) {
+        throw new Error(`Unknown job status "${status}"`);
+    }
+    await pool.query(
+        `UPDATE culinary_jobs
+         SET last_checked_at = NOW(),
+             status = COALESCE($2::job_status, status),
+             closed_at = CASE WHEN $2 IN ('filled', 'expired') THEN COALESCE(closed_at, NOW()) ELSE closed_at END
+         WHERE id = $1`,
+        [jobId, status]
+    );
+}
@@ -0,0 +1,244 @@
+/**
+ * Location parsing for job postings.
+ *
+ * Posting locations arrive as free text ("Brooklyn, NY", "123 Main St, Austin, TX 78701",
+ * "Carbone • New York, NY", "New York"); these helpers pull out the street, city, state and
+ * ZIP, and place known cities on the map with the bundled data/us_cities.csv. That file lists
+ * every US city with a ZIP code in the column layout of https://github.com/kelvins/US-Cities-Database
+ * and is generated by scripts/build_us_cities.js (npm run build:cities).
+ * "Remote" and "Hybrid" are work arrangements, not places, and never become a city.
+ */
+import { readFileSync } from 'fs';
+
+const CITIES_FILE = new URL('./data/us_cities.csv', import.meta.url);
+
+const STATE_NAMES = {
+    alabama: 'AL', alaska: 'AK', arizona: 'AZ', arkansas: 'AR', california: 'CA', colorado: 'CO',
+    connecticut: 'CT', delaware: 'DE', 'district of columbia': 'DC', florida: 'FL', georgia: 'GA',
+    hawaii: 'HI', idaho: 'ID', illinois: 'IL', indiana: 'IN', iowa: 'IA', kansas: 'KS', kentucky: 'KY',
+    louisiana: 'LA', maine: 'ME', maryland: 'MD', massachusetts: 'MA', michigan: 'MI', minnesota: 'MN',
+    mississippi: 'MS', missouri: 'MO', montana: 'MT', nebraska: 'NE', nevada: 'NV', 'new hampshire': 'NH',
+    'new jersey': 'NJ', 'new mexico': 'NM', 'new york': 'NY', 'north carolina': 'NC', 'north dakota': 'ND',
+    ohio: 'OH', oklahoma: 'OK', oregon: 'OR', pennsylvania: 'PA', 'rhode island': 'RI',
+    'south carolina': 'SC', 'south dakota': 'SD', tennessee: 'TN', texas: 'TX', utah: 'UT', vermont: 'VT',
+    virginia: 'VA', washington: 'WA', 'west virginia': 'WV', wisconsin: 'WI', wyoming: 'WY'
+};
+const STATE_CODES = new Set(Object.values(STATE_NAMES));
+
+// Shorthands postings use in place of the city name
+const CITY_ALIASES = {
+    nyc: { city: 'New York', state: 'NY' },
+    'the bronx': { city: 'Bronx', state: 'NY' },
+    sf: { city: 'San Francisco', state: 'CA' },
+    'washington dc': { city: 'Washington', state: 'DC' },
+    'washington d.c.': { city: 'Washington', state: 'DC' }
+};
+
+// Metro areas used for territories: a city gets the label of the nearest center within its radius
+const METRO_AREAS = [
+    { name: 'New York', lat: 40.7128, lng: -74.0060, radiusMiles: 40 },
+    { name: 'Los Angeles', lat: 34.0522, lng: -118.2437, radiusMiles: 45 },
+    { name: 'Chicago', lat: 41.8781, lng: -87.6298, radiusMiles: 40 },
+    { name: 'San Francisco Bay Area', lat: 37.7749, lng: -122.4194, radiusMiles: 50 },
+    { name: 'Washington DC', lat: 38.9072, lng: -77.0369, radiusMiles: 35 },
+    { name: 'Boston', lat: 42.3601, lng: -71.0589, radiusMiles: 35 },
+    { name: 'Philadelphia', lat: 39.9526, lng: -75.1652, radiusMiles: 30 },
+    { name: 'Miami', lat: 25.7617, lng: -80.1918, radiusMiles: 60 },
+    { name: 'Dallas-Fort Worth', lat: 32.7767, lng: -96.7970, radiusMiles: 45 },
+    { name: 'Houston', lat: 29.7604, lng: -95.3698, radiusMiles: 45 },
+    { name: 'Austin', lat: 30.2672, lng: -97.7431, radiusMiles: 30 },
+    { name: 'Atlanta', lat: 33.7490, lng: -84.3880, radiusMiles: 40 },
+    { name: 'Nashville', lat: 36.1627, lng: -86.7816, radiusMiles: 30 },
+    { name: 'Charlotte', lat: 35.2271, lng: -80.8431, radiusMiles: 30 },
+    { name: 'Charleston', lat: 32.7765, lng: -79.9311, radiusMiles: 25 },
+    { name: 'New Orleans', lat: 29.9511, lng: -90.0715, radiusMiles: 25 },
+    { name: 'Denver', lat: 39.7392, lng: -104.9903, radiusMiles: 35 },
+    { name: 'Phoenix', lat: 33.4484, lng: -112.0740, radiusMiles: 40 },
+    { name: 'Las Vegas', lat: 36.1699, lng: -115.1398, radiusMiles: 25 },
+    { name: 'San Diego', lat: 32.7157, lng: -117.1611, radiusMiles: 30 },
+    { name: 'Seattle', lat: 47.6062, lng: -122.3321, radiusMiles: 35 },
+    { name: 'Portland', lat: 45.5152, lng: -122.6784, radiusMiles: 30 },
+    { name: 'Minneapolis-St. Paul', lat: 44.9778, lng: -93.2650, radiusMiles: 30 }
+];
+
+// Work arrangements that postings put where the location goes
+const NON_LOCATION = /^(?:(?:fully |100% )?remote|hybrid|work from home|wfh|anywhere|nationwide|various locations|multiple locations|on[- ]?site|in[- ]person|tbd)(?:\s*\(.*\))?$/i;
+// "(Remote)", "Hybrid - " and " - Remote" notes around an actual place
+const ARRANGEMENT_NOTE = /\s*\((?:fully |partially )?(?:remote|hybrid)[^)]*\)|^(?:remote|hybrid)\s*[-–:]\s*|\s*[-–]\s*(?:remote|hybrid)(?: eligible| friendly)?\s*$/gi;
+
+const ZIP_PATTERN = /\b(\d{5})(?:-\d{4})?\s*$/;
+const COUNTRY = '(?:USA|U\\.S\\.A\\.|United States(?: of America)?|US)';
+const COUNTRY_SUFFIX = new RegExp(`(?:,\\s*|\\s+)${COUNTRY}\\s*$`, 'i');
+// Nothing but the country, typically left of "Remote - US"
+const COUNTRY_ONLY = new RegExp(`^${COUNTRY}$`, 'i');
+
+// USPS spells out "Saint Louis" and "Fort Worth"; postings abbreviate ("St. Louis", "Ft Worth")
+const toCityName = (city) => city.toLowerCase().replace(/\b(st|ft|mt)\.?(?=\s)/g, (_, abbreviation) => ({ st: 'saint', ft: 'fort', mt: 'mount' })[abbreviation]);
+const toCityKey = (city, state) => `${toCityName(city)}|${state}`;
+
+function loadCities() {
+    const byCityState = new Map();
+    const byCity = new Map();
+    const [header, ...lines] = readFileSync(CITIES_FILE, 'utf8').trim().split(/\r?\n/);
+    const columns = header.split(',');
+    const index = (name) => columns.indexOf(name);
+    const [stateAt, cityAt, latAt, lngAt] = ['STATE_CODE', 'CITY', 'LATITUDE', 'LONGITUDE'].map(index);
+
+    for (const line of lines) {
+        const fields = line.split(',');
+        const city = {
+            city: fields[cityAt],
+            state: fields[stateAt],
+            lat: parseFloat(fields[latAt]),
+            lng: parseFloat(fields[lngAt])
+        };
+        // The full dataset lists some cities once per county; the first row wins
+        const key = toCityKey(city.city, city.state);
+        if (byCityState.has(key)) continue;
+        byCityState.set(key, city);
+        const name = toCityName(city.city);
+        byCity.set(name, [...(byCity.get(name) || []), city]);
+    }
+    return { byCityState, byCity };
+}
+
+const CITIES = loadCities();
+
+function distanceMiles(lat1, lng1, lat2, lng2) {
+    const toRadians = (degrees) => degrees * Math.PI / 180;
+    const dLat = toRadians(lat2 - lat1);
+    const dLng = toRadians(lng2 - lng1);
+    const a = Math.sin(dLat / 2) ** 2 +
+        Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLng / 2) ** 2;
+    return 3958.8 * 2 * Math.asin(Math.sqrt(a));
+}
+
+/**
+ * @param {number} lat
+ * @param {number} lng
+ * @returns {string|null} - Label of the nearest metro area within its radius
+ */
+export function findMetroArea(lat, lng) {
+    let best = null;
+    for (const metro of METRO_AREAS) {
+        const distance = distanceMiles(lat, lng, metro.lat, metro.lng);
+        if (distance <= metro.radiusMiles && (!best || distance < best.distance)) {
+            best = { name: metro.name, distance };
+        }
+    }
+    return best ? best.name : null;
+}
+
+function toStateCode(text) {
+    const value = text.replace(/\./g, '').trim();
+    if (STATE_CODES.has(value.toUpperCase()) && value.length === 2) return value.toUpperCase();
+    return STATE_NAMES[value.toLowerCase()] || null;
+}
+
+const MAX_CITY_WORDS = 5;
+
+/**
+ * Splits "123 Main St Austin" into street and a known city of the state, longest city name first
+ * @returns {{street: string|null, city: string}|null}
+ */
+function splitStreetAndCity(text, state) {
+    const words = text.split(' ');
+    for (let count = Math.min(MAX_CITY_WORDS, words.length); count > 0; count--) {
+        const cityText = words.slice(-count).join(' ');
+        if (CITIES.byCityState.has(toCityKey(cityText, state))) {
+            return { street: words.slice(0, -count).join(' ') || null, city: cityText };
+        }
+    }
+    return null;
+}
+
+/**
+ * Parses one "street, city, state" segment of the location text
+ * @returns {{street: string|null, city: string|null, state: string|null}|null}
+ */
+function parseSegment(segment) {
+    const parts = segment.split(',').map(part => part.trim()).filter(Boolean);
+    if (parts.length === 0) return null;
+
+    // "New York" alone means the city
+    const lone = parts.length === 1 && CITIES.byCity.has(toCityName(parts[0]));
+    const state = lone ? null : toStateCode(parts[parts.length - 1]);
+    const rest = state ? parts.slice(0, -1) : parts;
+    if (rest.length === 0) return state ? { street: null, city: null, state } : null;
+
+    let cityText = rest[rest.length - 1];
+    let street = rest.slice(0, -1).join(', ') || null;
+    if (NON_LOCATION.test(cityText)) return state ? { street: null, city: null, state } : null;
+    const alias = CITY_ALIASES[cityText.toLowerCase()];
+    if (alias) return { street, city: alias.city, state: state || alias.state };
+
+    // No comma between street and city ("350 W Broadway New York, NY")
+    if (/\d/.test(cityText)) {
+        const split = state ? splitStreetAndCity(cityText, state) : null;
+        if (!split) return state ? { street: cityText, city: null, state } : null;
+        street = street ? `${street}, ${split.street}` : split.street;
+        cityText = split.city;
+    }
+    // Text before the city without a house number is a company name, not a street
+    if (street && !/\d/.test(street)) street = null;
+
+    // A bare name counts as a city only when the dataset knows it
+    if (!state && !CITIES.byCity.has(toCityName(cityText))) return null;
+    return { street, city: cityText, state };
+}
+
+/**
+ * Parses a location string into address parts, coordinates and metro area
+ * @param {string} location - Location text from the posting
+ * @returns {{street: string|null, city: string|null, state: string|null, zip: string|null,
+ *            lat: number|null, lng: number|null, metro: string|null}} - null for parts that could not be found
+ */
+export function parseLocation(location) {
+    const result = { street: null, city: null, state: null, zip: null, lat: null, lng: null, metro: null };
+    if (!location || typeof location !== 'string' || location === 'N/A') return result;
+
+    let text = location.replace(/\s+/g, ' ').replace(ARRANGEMENT_NOTE, '').trim();
+    if (COUNTRY_ONLY.test(text)) return result;
+    text = text.replace(COUNTRY_SUFFIX, '').trim();
+    const zip = text.match(ZIP_PATTERN);
+    if (zip) {
+        result.zip = zip[1];
+        text = text.slice(0, zip.index).replace(/,\s*$/, '').trim();
+    }
+
+    // Blobs like "Carbone • New York, NY": the address is usually the last segment
+    const segments = text.split(/\s*[•|·]\s*/).filter(segment => segment && !NON_LOCATION.test(segment)).reverse();
+    let parsed = null;
+    for (const segment of segments) {
+        parsed = parseSegment(segment);
+        if (parsed) break;
+    }
+    if (!parsed) {
+        // A lone name the dataset doesn't know ("Ojai") is still most likely a city
+        if (segments.length === 1 && !/[\d,]/.test(segments[0])) result.city = segments[0];
+        return result;
+    }
+    Object.assign(result, parsed);
+
+    if (result.city) {
+        const matches = CITIES.byCity.get(toCityName(result.city)) || [];
+        const known = result.state
+            ? CITIES.byCityState.get(toCityKey(result.city, result.state))
+            : matches.length === 1 ? matches[0] : null;
+        if (known) {
+            Object.assign(result, { city: known.city, state: known.state, lat: known.lat, lng: known.lng });
+            result.metro = findMetroArea(known.lat, known.lng);
+        }
+    }
+    return result;
+}
+
+/**
+ * Extracts city and state from a location string
+ * @param {string} location - Location text from the posting
+ * @returns {{city: string, state: string}} - Empty strings for parts that could not be found
+ */
+export function parseCityState(location) {
+    const { city, state } = parseLocation(location);
+    return { city: city || '', state: state || '' };
+}
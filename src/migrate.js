@@ -0,0 +1,110 @@
+/**
+ * Versioned schema migrations.
+ *
+ * Migrations live in src/migrations/ as NNN_description.sql or NNN_description.js
+ * (a JS migration default-exports `async (client) => {}`). Each pending migration runs in
+ * its own transaction and is recorded in schema_migrations. An advisory lock keeps two
+ * concurrent runs from migrating at the same time.
+ */
+import { readdir, readFile } from 'fs/promises';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { log } from 'crawlee';
+
+const MIGRATIONS_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'migrations');
+const MIGRATION_FILE_PATTERN = /^(\d+)_([\w-]+)\.(sql|js)$/;
+
+// Arbitrary constant shared by every run of this actor
+const MIGRATION_LOCK_ID = 724031;
+
+/**
+ * Lists the migrations shipped with this build, ordered by version
+ * @returns {Promise<Array<{version: number, name: string, file: string}>>}
+ */
+export async function listMigrations() {
+    const files = await readdir(MIGRATIONS_DIR);
+    const migrations = [];
+    for (const file of files) {
+        const match = file.match(MIGRATION_FILE_PATTERN);
+        if (!match) continue;
+        migrations.push({ version: parseInt(match[1], 10), name: match[2], file });
+    }
+    migrations.sort((a, b) => a.version - b.version);
+
+    for (let i = 1; i < migrations.length; i++) {
+        if (migrations[i].version === migrations[i - 1].version) {
+            throw new Error(`MIGRATIONS: Duplicate migration version ${migrations[i].version} (${migrations[i - 1].file}, ${migrations[i].file})`);
+        }
+    }
+    return migrations;
+}
+
+async function applyMigration(client, migration) {
+    const filePath = path.join(MIGRATIONS_DIR, migration.file);
+    if (migration.file.endsWith('.sql')) {
+        await client.query(await readFile(filePath, 'utf8'));
+    } else {
+        const { default: up } = await import(pathToFileURL(filePath).href);
+        await up(client);
+    }
+}
+
+/**
+ * Brings the database schema up to date
+ * @param {Object} pool - pg Pool
+ * @returns {Promise<number>} - Number of migrations applied
+ */
+export async function runMigrations(pool) {
+    const migrations = await listMigrations();
+    const latestVersion = migrations.length > 0 ? migrations[migrations.length - 1].version : 0;
+
+    const client = await pool.connect();
+    try {
+        await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_ID]);
+
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS schema_migrations (
+                version INTEGER PRIMARY KEY,
+                name VARCHAR(255) NOT NULL,
+                applied_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+
+        const { rows } = await client.query('SELECT version FROM schema_migrations');
+        const applied = new Set(rows.map(row => row.version));
+        const databaseVersion = Math.max(0, ...applied);
+
+        // A newer build has migrated this database; running older code against it could corrupt data
+        if (databaseVersion > latestVersion) {
+            throw new Error(`MIGRATIONS: Database schema is at version ${databaseVersion} but this build only knows up to ${latestVersion}. Deploy the newer build instead.`);
+        }
+
+        const pending = migrations.filter(migration => !applied.has(migration.version));
+        if (pending.length === 0) {
+            log.info(`MIGRATIONS: Schema is up to date (version ${databaseVersion})`);
+            return 0;
+        }
+
+        for (const migration of pending) {
+            log.info(`MIGRATIONS: Applying ${migration.file}...`);
+            try {
+                await client.query('BEGIN');
+                await applyMigration(client, migration);
+                await client.query(
+                    'INSERT INTO schema_migrations (version, name) VALUES ($1, $2)',
+                    [migration.version, migration.name]
+                );
+                await client.query('COMMIT');
+            } catch (error) {
+                await client.query('ROLLBACK');
+                throw new Error(`MIGRATIONS: ${migration.file} failed and was rolled back: ${error.message}`);
+            }
+        }
+
+        log.info(`MIGRATIONS: Applied ${pending.length} migration(s), schema is now at version ${latestVersion}`);
+        return pending.length;
+    } finally {
+        await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_ID]).catch(() => {});
+        client.release();
+    }
+}
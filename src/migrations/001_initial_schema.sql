@@ -0,0 +1,46 @@
+-- Jobs and contacts tables as originally created by createTables().
+-- Deployments that predate the migration runner already have them, so every
+-- statement is idempotent.
+CREATE TABLE IF NOT EXISTS culinary_jobs (
+    id SERIAL PRIMARY KEY,
+    title VARCHAR(255) NOT NULL,
+    company VARCHAR(255) NOT NULL,
+    parent_company VARCHAR(255),
+    location VARCHAR(255),
+    salary VARCHAR(255),
+    contact_name VARCHAR(255),
+    contact_title VARCHAR(255),
+    email VARCHAR(255),
+    url TEXT UNIQUE NOT NULL,
+    job_details TEXT,
+    linkedin VARCHAR(255),
+    domain VARCHAR(255),
+    parent_url VARCHAR(255),
+    company_size VARCHAR(50),
+    date_added TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    last_updated TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT unique_job_url UNIQUE (url),
+    CONSTRAINT unique_job_email UNIQUE (email, company)
+);
+
+CREATE INDEX IF NOT EXISTS idx_company_name ON culinary_jobs(company);
+CREATE INDEX IF NOT EXISTS idx_job_title ON culinary_jobs(title);
+CREATE INDEX IF NOT EXISTS idx_email ON culinary_jobs(email);
+CREATE INDEX IF NOT EXISTS idx_date_added ON culinary_jobs(date_added);
+
+CREATE TABLE IF NOT EXISTS culinary_contacts (
+    id SERIAL PRIMARY KEY,
+    job_id INTEGER NOT NULL REFERENCES culinary_jobs(id) ON DELETE CASCADE,
+    name VARCHAR(255),
+    title VARCHAR(255),
+    email VARCHAR(255) NOT NULL,
+    date_added TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    last_updated TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+
+    -- Prevent duplicate emails for the same job
+    CONSTRAINT unique_contact_for_job UNIQUE (job_id, email)
+);
+
+CREATE INDEX IF NOT EXISTS idx_contact_job_id ON culinary_contacts(job_id);
+CREATE INDEX IF NOT EXISTS idx_contact_email ON culinary_contacts(email);
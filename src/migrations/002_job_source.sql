@@ -0,0 +1,3 @@
+-- Which job board a posting came from (see src/sources/)
+ALTER TABLE culinary_jobs ADD COLUMN IF NOT EXISTS source VARCHAR(50) DEFAULT 'culinary_agents';
+CREATE INDEX IF NOT EXISTS idx_job_source ON culinary_jobs(source);
@@ -0,0 +1,9 @@
+-- Structured compensation from parseCompensation, annualized for filtering and sorting
+ALTER TABLE culinary_jobs
+    ADD COLUMN IF NOT EXISTS salary_min NUMERIC(12, 2),
+    ADD COLUMN IF NOT EXISTS salary_max NUMERIC(12, 2),
+    ADD COLUMN IF NOT EXISTS salary_period VARCHAR(20),
+    ADD COLUMN IF NOT EXISTS salary_currency VARCHAR(3),
+    ADD COLUMN IF NOT EXISTS salary_annual_min NUMERIC(12, 2),
+    ADD COLUMN IF NOT EXISTS salary_annual_max NUMERIC(12, 2);
+CREATE INDEX IF NOT EXISTS idx_salary_annual_min ON culinary_jobs(salary_annual_min);
@@ -0,0 +1,22 @@
+-- Lifecycle tracking (see job_lifecycle.js): when each posting was last seen, and whether it is still open
+DO $$ BEGIN
+    CREATE TYPE job_status AS ENUM ('active', 'filled', 'expired');
+EXCEPTION
+    WHEN duplicate_object THEN null;
+END $$;
+
+ALTER TABLE culinary_jobs
+    ADD COLUMN IF NOT EXISTS status job_status NOT NULL DEFAULT 'active',
+    ADD COLUMN IF NOT EXISTS last_seen_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    ADD COLUMN IF NOT EXISTS last_checked_at TIMESTAMP WITH TIME ZONE,
+    ADD COLUMN IF NOT EXISTS closed_at TIMESTAMP WITH TIME ZONE;
+CREATE INDEX IF NOT EXISTS idx_job_status_last_seen ON culinary_jobs(status, last_seen_at);
+
+-- How long postings stay open and how often a company re-posts the same role
+CREATE OR REPLACE VIEW culinary_job_lifecycle AS
+SELECT
+    id, url, title, company, location, source, status,
+    date_added, last_seen_at, closed_at,
+    EXTRACT(DAY FROM COALESCE(closed_at, NOW()) - date_added)::INTEGER AS days_open,
+    COUNT(*) OVER (PARTITION BY LOWER(company), LOWER(title)) AS postings_for_role
+FROM culinary_jobs;
@@ -0,0 +1,7 @@
+-- Contacts live in culinary_contacts now; the (email, company) constraint on jobs is a
+-- leftover from when each job row carried a single contact.
+ALTER TABLE culinary_jobs DROP CONSTRAINT IF EXISTS unique_job_email;
+
+-- Columns exportToPostgres writes that tables created by early versions lack
+ALTER TABLE culinary_jobs ADD COLUMN IF NOT EXISTS parent_url VARCHAR(255);
+ALTER TABLE culinary_contacts ADD COLUMN IF NOT EXISTS last_updated TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP;
@@ -0,0 +1,11 @@
+-- Persistent company website lookups (see company_cache.js). A NULL url records a search
+-- that found no website, which is kept for a shorter time than a positive result.
+CREATE TABLE IF NOT EXISTS company_websites (
+    name_key VARCHAR(255) PRIMARY KEY,
+    company_name VARCHAR(255) NOT NULL,
+    url TEXT,
+    domain VARCHAR(255),
+    checked_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_company_websites_checked_at ON company_websites(checked_at);
@@ -0,0 +1,119 @@
+/**
+ * Company entities: one row per normalized company name, linked from culinary_jobs.company_id.
+ * Existing jobs are backfilled with the key rules of normalizeCompanyName (company_parser.js)
+ * as they were when this migration was written, copied below so the migration writes the same
+ * name_key values on every database however the parser changes later. The upserts are
+ * kept here rather than shared with companies.js, which writes columns added by later migrations.
+ */
+
+// Stored job companies are already parsed names, so only the key cleanup is repeated here
+const ENTITY_SUFFIX = /\s+(restaurant|bar|café|cafe|grill|bistro|tavern|kitchen|hospitality|group|llc|inc|corporation)\b/gi;
+const LOCATION_MARKER = /\s+[,-]\s+.*$/;
+
+function normalizeCompanyName(rawName) {
+    const name = (rawName || '').replace(/\s+/g, ' ').trim();
+    if (!name || name === 'N/A' || name === 'Unknown' || name.startsWith('Excluded')) return null;
+
+    const key = (name.replace(ENTITY_SUFFIX, '').replace(LOCATION_MARKER, '').trim() || name)
+        .toLowerCase()
+        .replace(/&/g, ' and ')
+        .replace(/^the\s+/, '')
+        .replace(/[^a-z0-9]+/g, ' ')
+        .trim();
+    return key ? { name, key } : null;
+}
+
+const orNull = (value) => (value && value !== 'N/A' ? value : null);
+
+async function upsertCompany(client, rawName, domain, linkedin, seenAt) {
+    const normalized = normalizeCompanyName(rawName);
+    if (!normalized) return null;
+    const result = await client.query(
+        `INSERT INTO companies (name_key, name, domain, linkedin, first_seen_at, last_seen_at)
+         VALUES ($1, $2, $3, $4, COALESCE($5::timestamptz, NOW()), COALESCE($5::timestamptz, NOW()))
+         ON CONFLICT (name_key) DO UPDATE SET
+            domain = COALESCE(EXCLUDED.domain, companies.domain),
+            linkedin = COALESCE(EXCLUDED.linkedin, companies.linkedin),
+            first_seen_at = LEAST(companies.first_seen_at, EXCLUDED.first_seen_at),
+            last_seen_at = GREATEST(companies.last_seen_at, EXCLUDED.last_seen_at)
+         RETURNING id`,
+        [normalized.key, normalized.name.substring(0, 255), orNull(domain), orNull(linkedin), seenAt]
+    );
+    return result.rows[0].id;
+}
+
+async function resolveJobCompany(client, job) {
+    const parentCompanyId = orNull(job.parentCompany)
+        ? await upsertCompany(client, job.parentCompany, job.parentUrl, null, job.seen_at)
+        : null;
+    const companyId = await upsertCompany(client, job.company, job.domain, job.linkedin, job.seen_at);
+    if (companyId && parentCompanyId && parentCompanyId !== companyId) {
+        await client.query('UPDATE companies SET parent_company_id = $2 WHERE id = $1', [companyId, parentCompanyId]);
+    }
+    return companyId;
+}
+
+export default async function up(client) {
+    await client.query(`
+        CREATE TABLE IF NOT EXISTS companies (
+            id SERIAL PRIMARY KEY,
+            name_key VARCHAR(255) NOT NULL UNIQUE,
+            name VARCHAR(255) NOT NULL,
+            domain VARCHAR(255),
+            parent_company_id INTEGER REFERENCES companies(id) ON DELETE SET NULL,
+            linkedin VARCHAR(255),
+            first_seen_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+            last_seen_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+        );
+        CREATE INDEX IF NOT EXISTS idx_companies_domain ON companies(domain);
+        CREATE INDEX IF NOT EXISTS idx_companies_parent ON companies(parent_company_id);
+
+        ALTER TABLE culinary_jobs ADD COLUMN IF NOT EXISTS company_id INTEGER REFERENCES companies(id) ON DELETE SET NULL;
+        CREATE INDEX IF NOT EXISTS idx_job_company_id ON culinary_jobs(company_id);
+    `);
+
+    const { rows } = await client.query(`
+        SELECT id, company, parent_company AS "parentCompany", domain, parent_url AS "parentUrl", linkedin,
+               COALESCE(last_seen_at, last_updated, date_added) AS seen_at
+        FROM culinary_jobs
+        WHERE company_id IS NULL
+        ORDER BY date_added
+    `);
+    for (const job of rows) {
+        const companyId = await resolveJobCompany(client, job);
+        if (companyId) {
+            await client.query('UPDATE culinary_jobs SET company_id = $2 WHERE id = $1', [job.id, companyId]);
+        }
+    }
+
+    await client.query(`
+        -- Open roles per company; group_id rolls venues up to their restaurant group
+        CREATE OR REPLACE VIEW company_open_roles AS
+        SELECT
+            COALESCE(c.parent_company_id, c.id) AS group_id,
+            COALESCE(p.name, c.name) AS group_name,
+            c.id AS company_id, c.name AS company,
+            j.id AS job_id, j.title, j.location, j.salary, j.url, j.source,
+            j.date_added, j.last_seen_at
+        FROM culinary_jobs j
+        JOIN companies c ON c.id = j.company_id
+        LEFT JOIN companies p ON p.id = c.parent_company_id
+        WHERE j.status = 'active';
+
+        -- Hiring history per account
+        CREATE OR REPLACE VIEW company_hiring_history AS
+        SELECT
+            c.id AS company_id, c.name, c.domain, p.name AS parent_company,
+            c.first_seen_at, c.last_seen_at,
+            COUNT(j.id) AS total_postings,
+            COUNT(j.id) FILTER (WHERE j.status = 'active') AS open_postings,
+            COUNT(j.id) FILTER (WHERE j.date_added >= NOW() - INTERVAL '90 days') AS postings_last_90_days,
+            MIN(j.date_added) AS first_posted_at,
+            MAX(j.date_added) AS last_posted_at,
+            ROUND(AVG(EXTRACT(DAY FROM COALESCE(j.closed_at, NOW()) - j.date_added))) AS avg_days_open
+        FROM companies c
+        LEFT JOIN companies p ON p.id = c.parent_company_id
+        LEFT JOIN culinary_jobs j ON j.company_id = c.id
+        GROUP BY c.id, p.name;
+    `);
+}
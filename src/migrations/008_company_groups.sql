@@ -0,0 +1,26 @@
+-- Restaurant group hierarchy: venues listed on a group's board profile are stored as
+-- companies with parent_company_id set, even before they post a job (first/last seen stay NULL).
+ALTER TABLE companies ADD COLUMN IF NOT EXISTS profile_url TEXT;
+ALTER TABLE companies ADD COLUMN IF NOT EXISTS venues_crawled_at TIMESTAMP WITH TIME ZONE;
+
+-- Hiring volume rolled up to the restaurant group (the group's own postings plus its venues')
+CREATE OR REPLACE VIEW company_group_hiring AS
+WITH members AS (
+    SELECT COALESCE(parent_company_id, id) AS group_id, id AS company_id
+    FROM companies
+)
+SELECT
+    g.id AS group_id, g.name AS group_name, g.domain, g.profile_url,
+    COUNT(DISTINCT m.company_id) FILTER (WHERE m.company_id <> g.id) AS venue_count,
+    COUNT(DISTINCT j.company_id) FILTER (WHERE j.status = 'active') AS venues_hiring,
+    COUNT(j.id) AS total_postings,
+    COUNT(j.id) FILTER (WHERE j.status = 'active') AS open_postings,
+    COUNT(j.id) FILTER (WHERE j.date_added >= NOW() - INTERVAL '90 days') AS postings_last_90_days,
+    MAX(j.date_added) AS last_posted_at,
+    g.venues_crawled_at
+FROM companies g
+JOIN members m ON m.group_id = g.id
+LEFT JOIN culinary_jobs j ON j.company_id = m.company_id
+WHERE g.parent_company_id IS NULL
+GROUP BY g.id
+HAVING COUNT(DISTINCT m.company_id) > 1;
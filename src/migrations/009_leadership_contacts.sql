@@ -0,0 +1,17 @@
+-- Leadership people from posting detail pages are stored as contacts without an email.
+-- source tells where a contact came from; priority is its getTitlePriority rank (lower is better).
+ALTER TABLE culinary_contacts ALTER COLUMN email DROP NOT NULL;
+ALTER TABLE culinary_contacts ADD COLUMN IF NOT EXISTS source VARCHAR(100);
+ALTER TABLE culinary_contacts ADD COLUMN IF NOT EXISTS priority INTEGER;
+UPDATE culinary_contacts SET source = 'email_lookup' WHERE source IS NULL;
+
+-- Best person to approach per company, across all of its postings
+CREATE OR REPLACE VIEW company_best_contacts AS
+SELECT DISTINCT ON (j.company_id)
+    j.company_id, c.name AS company,
+    ct.name, ct.title, ct.email, ct.source, ct.priority,
+    j.url AS job_url, ct.last_updated
+FROM culinary_contacts ct
+JOIN culinary_jobs j ON j.id = ct.job_id
+JOIN companies c ON c.id = j.company_id
+ORDER BY j.company_id, ct.priority NULLS LAST, (ct.email IS NULL), ct.last_updated DESC;
@@ -0,0 +1,7 @@
+-- Details published on a company's own website (see enrichment/site_profile.js)
+ALTER TABLE companies ADD COLUMN IF NOT EXISTS website_emails TEXT;
+ALTER TABLE companies ADD COLUMN IF NOT EXISTS phone VARCHAR(50);
+ALTER TABLE companies ADD COLUMN IF NOT EXISTS instagram VARCHAR(255);
+ALTER TABLE companies ADD COLUMN IF NOT EXISTS address TEXT;
+ALTER TABLE companies ADD COLUMN IF NOT EXISTS careers_url TEXT;
+ALTER TABLE companies ADD COLUMN IF NOT EXISTS website_crawled_at TIMESTAMP WITH TIME ZONE;
@@ -0,0 +1,14 @@
+-- How sure the website lookup is that a domain belongs to the company (0-1, see scoreCandidate
+-- in search_api.js). Uncertain matches are kept with needs_review set and are not used until
+-- someone confirms them (UPDATE company_websites SET needs_review = false ...) or clears them.
+ALTER TABLE company_websites ADD COLUMN IF NOT EXISTS confidence NUMERIC(3, 2);
+ALTER TABLE company_websites ADD COLUMN IF NOT EXISTS needs_review BOOLEAN NOT NULL DEFAULT false;
+ALTER TABLE culinary_jobs ADD COLUMN IF NOT EXISTS domain_confidence NUMERIC(3, 2);
+
+CREATE INDEX IF NOT EXISTS idx_company_websites_needs_review ON company_websites(needs_review) WHERE needs_review;
+
+CREATE OR REPLACE VIEW company_website_review AS
+SELECT name_key, company_name, url, domain, confidence, checked_at
+FROM company_websites
+WHERE needs_review
+ORDER BY confidence DESC NULLS LAST, checked_at DESC;
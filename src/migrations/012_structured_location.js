@@ -0,0 +1,47 @@
+/**
+ * Structured locations from parseLocation: street, city, state, ZIP, coordinates and metro area,
+ * for territory assignment and map views.
+ *
+ * Existing jobs are backfilled in SQL rather than with parseLocation, so this migration does the
+ * same on every database however the parser changes later. Only plain "City, ST" and
+ * "City, ST 12345" texts are split; coordinates and metro areas are left to the exporter, which
+ * fills every column for the jobs it stores.
+ */
+export default async function up(client) {
+    await client.query(`
+        ALTER TABLE culinary_jobs
+            ADD COLUMN IF NOT EXISTS location_street VARCHAR(255),
+            ADD COLUMN IF NOT EXISTS location_city VARCHAR(100),
+            ADD COLUMN IF NOT EXISTS location_state VARCHAR(2),
+            ADD COLUMN IF NOT EXISTS location_zip VARCHAR(10),
+            ADD COLUMN IF NOT EXISTS location_lat NUMERIC(9, 6),
+            ADD COLUMN IF NOT EXISTS location_lng NUMERIC(9, 6),
+            ADD COLUMN IF NOT EXISTS metro_area VARCHAR(100);
+        CREATE INDEX IF NOT EXISTS idx_job_location_state ON culinary_jobs(location_state);
+        CREATE INDEX IF NOT EXISTS idx_job_metro_area ON culinary_jobs(metro_area);
+    `);
+
+    // The city is the last comma-separated part before the state, and only letters; texts with a
+    // street or a venue name in that part ("350 W Broadway New York, NY") and work arrangements
+    // ("Remote, TX") are left unparsed
+    await client.query(`
+        WITH parsed AS (
+            SELECT id, regexp_match(
+                location,
+                '(?:^|,)\\s*([A-Za-z][A-Za-z .''-]*?)\\s*,\\s*([A-Z]{2})(?:\\s+(\\d{5})(?:-\\d{4})?)?\\s*$'
+            ) AS parts
+            FROM culinary_jobs
+            WHERE location IS NOT NULL AND location <> '' AND location_city IS NULL AND location_state IS NULL
+        )
+        UPDATE culinary_jobs j
+        SET location_city = LEFT(p.parts[1], 100), location_state = p.parts[2], location_zip = p.parts[3]
+        FROM parsed p
+        WHERE j.id = p.id
+          AND lower(p.parts[1]) NOT IN ('remote', 'hybrid', 'anywhere', 'nationwide', 'various locations', 'multiple locations')
+          AND p.parts[2] IN (
+            'AL', 'AK', 'AZ', 'AR', 'CA', 'CO', 'CT', 'DE', 'DC', 'FL', 'GA', 'HI', 'ID', 'IL', 'IN', 'IA', 'KS',
+            'KY', 'LA', 'ME', 'MD', 'MA', 'MI', 'MN', 'MS', 'MO', 'MT', 'NE', 'NV', 'NH', 'NJ', 'NM', 'NY', 'NC',
+            'ND', 'OH', 'OK', 'OR', 'PA', 'RI', 'SC', 'SD', 'TN', 'TX', 'UT', 'VT', 'VA', 'WA', 'WV', 'WI', 'WY'
+          )
+    `);
+}
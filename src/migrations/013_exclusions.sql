@@ -0,0 +1,25 @@
+-- Company exclusion rules (see exclusions.js), editable without a deploy.
+-- match_type: exact (the name, optionally with a location attached), partial (substring) or regex
+-- (case-insensitive). Rules past expires_at are ignored.
+CREATE TABLE IF NOT EXISTS exclusions (
+    id SERIAL PRIMARY KEY,
+    pattern VARCHAR(255) NOT NULL,
+    match_type VARCHAR(10) NOT NULL DEFAULT 'exact' CHECK (match_type IN ('exact', 'partial', 'regex')),
+    reason TEXT,
+    expires_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (pattern, match_type)
+);
+
+-- Seeded with the list that used to be hard-coded
+INSERT INTO exclusions (pattern, match_type) VALUES
+    ('Alliance Personnel', 'exact'), ('August Point Advisors', 'exact'), ('Bon Appetit', 'exact'),
+    ('Capital Restaurant Associates', 'exact'), ('Chartwells', 'exact'), ('Compass', 'exact'),
+    ('CORE Recruitment', 'exact'), ('EHS Recruiting', 'exact'), ('Empowered Hospitality', 'exact'),
+    ('Eurest', 'exact'), ('Goodwin Recruiting', 'exact'), ('HMG Plus - New York', 'exact'),
+    ('LSG Sky Chefs', 'exact'), ('Major Food Group', 'exact'), ('Measured HR', 'exact'),
+    ('One Haus', 'exact'), ('Patrice & Associates', 'exact'), ('Persone NYC', 'exact'),
+    ('Playbook Advisors', 'exact'), ('Restaurant Associates', 'exact'), ('Source One Hospitality', 'exact'),
+    ('Ten Five Hospitality', 'exact'), ('The Goodkind Group', 'exact'), ('Tuttle Hospitality', 'exact'),
+    ('Willow Tree Recruiting', 'exact'), ('Whole Foods', 'partial')
+ON CONFLICT (pattern, match_type) DO NOTHING;
@@ -0,0 +1,25 @@
+-- Staffing-agency detection (see agency_classifier.js). agency_review_status is NULL for postings
+-- that were not flagged; flagged ones are 'pending' until a reviewer sets 'confirmed' (an agency)
+-- or 'dismissed' (a real employer). New flagged postings of a company inherit its latest decision.
+ALTER TABLE culinary_jobs
+    ADD COLUMN IF NOT EXISTS agency_score NUMERIC(3, 2),
+    ADD COLUMN IF NOT EXISTS agency_reasons TEXT,
+    ADD COLUMN IF NOT EXISTS agency_review_status VARCHAR(20)
+        CHECK (agency_review_status IN ('pending', 'confirmed', 'dismissed'));
+CREATE INDEX IF NOT EXISTS idx_job_agency_review_status ON culinary_jobs(agency_review_status);
+
+-- Flagged postings waiting for a decision, most likely agencies first
+CREATE OR REPLACE VIEW agency_review_queue AS
+SELECT
+    j.id AS job_id, j.title, j.company, j.location, j.url, j.source,
+    j.agency_score, j.agency_reasons, j.date_added
+FROM culinary_jobs j
+WHERE j.agency_review_status = 'pending' AND j.status = 'active'
+ORDER BY j.agency_score DESC, j.date_added DESC;
+
+-- The main feed: active postings that are not held for review or confirmed as agency postings
+CREATE OR REPLACE VIEW job_feed AS
+SELECT j.*
+FROM culinary_jobs j
+WHERE j.status = 'active'
+  AND (j.agency_review_status IS NULL OR j.agency_review_status = 'dismissed');
@@ -0,0 +1,50 @@
+-- Postings of excluded companies (see excluded_postings.js), kept out of culinary_jobs and the feed.
+-- company is the exclusion rule that matched; raw_company is the name as the board showed it.
+CREATE TABLE IF NOT EXISTS excluded_postings (
+    id SERIAL PRIMARY KEY,
+    url TEXT UNIQUE NOT NULL,
+    source VARCHAR(50),
+    title VARCHAR(255),
+    company VARCHAR(255) NOT NULL,
+    raw_company VARCHAR(255),
+    match_type VARCHAR(10),
+    exclusion_reason TEXT,
+    location VARCHAR(255),
+    location_city VARCHAR(100),
+    location_state VARCHAR(2),
+    metro_area VARCHAR(100),
+    salary VARCHAR(255),
+    salary_annual_min NUMERIC(12, 2),
+    salary_annual_max NUMERIC(12, 2),
+    job_details TEXT,
+    first_seen_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    last_seen_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+CREATE INDEX IF NOT EXISTS idx_excluded_postings_company ON excluded_postings(company);
+CREATE INDEX IF NOT EXISTS idx_excluded_postings_last_seen ON excluded_postings(last_seen_at);
+
+-- Roles per excluded company and metro area
+CREATE OR REPLACE VIEW excluded_company_roles AS
+SELECT
+    company, title, COALESCE(metro_area, location_city, 'Unknown') AS metro_area,
+    COUNT(*) AS postings,
+    COUNT(*) FILTER (WHERE last_seen_at >= NOW() - INTERVAL '7 days') AS open_postings,
+    MIN(first_seen_at) AS first_seen_at,
+    MAX(last_seen_at) AS last_seen_at
+FROM excluded_postings
+GROUP BY company, title, COALESCE(metro_area, location_city, 'Unknown');
+
+-- One row per excluded company: how much it is hiring, where and for what.
+-- Postings seen in the last 7 days count as open.
+CREATE OR REPLACE VIEW excluded_company_activity AS
+SELECT
+    company,
+    COUNT(*) AS total_postings,
+    COUNT(*) FILTER (WHERE last_seen_at >= NOW() - INTERVAL '7 days') AS open_postings,
+    COUNT(*) FILTER (WHERE first_seen_at >= NOW() - INTERVAL '90 days') AS postings_last_90_days,
+    string_agg(DISTINCT COALESCE(metro_area, location_city), ', ') AS metros,
+    array_to_string((array_agg(DISTINCT title))[1:5], ', ') AS roles,
+    MIN(first_seen_at) AS first_seen_at,
+    MAX(last_seen_at) AS last_seen_at
+FROM excluded_postings
+GROUP BY company;
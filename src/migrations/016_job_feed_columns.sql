@@ -0,0 +1,19 @@
+-- job_feed with its columns listed: SELECT j.* is expanded once when the view is created, so
+-- columns added to culinary_jobs later were silently missing from the feed. Add new posting
+-- columns here when they should be part of the feed.
+DROP VIEW IF EXISTS job_feed;
+CREATE VIEW job_feed AS
+SELECT
+    j.id, j.title, j.company, j.company_id, j.parent_company, j.parent_url, j.company_size,
+    j.domain, j.domain_confidence, j.linkedin,
+    j.contact_name, j.contact_title, j.email,
+    j.location, j.location_street, j.location_city, j.location_state, j.location_zip,
+    j.location_lat, j.location_lng, j.metro_area,
+    j.salary, j.salary_min, j.salary_max, j.salary_period, j.salary_currency,
+    j.salary_annual_min, j.salary_annual_max,
+    j.url, j.source, j.job_details, j.status,
+    j.agency_score, j.agency_reasons, j.agency_review_status,
+    j.date_added, j.last_updated, j.last_seen_at, j.last_checked_at, j.closed_at
+FROM culinary_jobs j
+WHERE j.status = 'active'
+  AND (j.agency_review_status IS NULL OR j.agency_review_status = 'dismissed');
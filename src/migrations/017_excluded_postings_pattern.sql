@@ -0,0 +1,14 @@
+-- matched_pattern keeps the exclusion rule that matched. company stays the name postings are
+-- grouped by: the rule's pattern for exact and partial rules ("Compass - Boston" and "Compass"
+-- count as one company), the rule's reason or the board's company name for regex rules, whose
+-- pattern is not a readable name.
+ALTER TABLE excluded_postings ADD COLUMN IF NOT EXISTS matched_pattern VARCHAR(255);
+
+-- Rows stored before the column existed had the pattern in company
+UPDATE excluded_postings
+SET matched_pattern = company,
+    company = CASE
+        WHEN match_type = 'regex' THEN COALESCE(NULLIF(exclusion_reason, ''), NULLIF(raw_company, ''), company)
+        ELSE company
+    END
+WHERE matched_pattern IS NULL AND match_type IS NOT NULL;
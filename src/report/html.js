@@ -0,0 +1,98 @@
+/**
+ * HTML part of the completion report.
+ *
+ * Everything is built with the `html` tag, which escapes every interpolated value unless it is
+ * an already rendered fragment, so scraped titles and company names containing `<`, `&` or
+ * quotes cannot break the layout.
+ */
+
+const ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+export function escapeHtml(value) {
+    return String(value ?? '').replace(/[&<>"']/g, char => ESCAPES[char]);
+}
+
+// Marks a rendered fragment so it is not escaped a second time when nested
+const RENDERED = Symbol('rendered');
+const rendered = (value) => ({ [RENDERED]: true, value, toString: () => value });
+
+const toHtml = (value) => {
+    if (value && value[RENDERED]) return value.value;
+    if (Array.isArray(value)) return value.map(toHtml).join('');
+    if (value === null || value === undefined || value === false) return '';
+    return escapeHtml(value);
+};
+
+/**
+ * Template tag: interpolated values are escaped, arrays are joined and nested `html` fragments kept
+ * @returns {{value: string}} - A rendered fragment
+ */
+export function html(strings, ...values) {
+    return rendered(strings.reduce((result, string, i) => result + string + (i < values.length ? toHtml(values[i]) : ''), ''));
+}
+
+// Only web links are rendered as links
+const safeUrl = (url) => (/^https?:\/\//i.test(url || '') ? url : null);
+const link = (url, label) => (safeUrl(url) ? html`<a href="${safeUrl(url)}" style="color: #0000FF;">${label}</a>` : label);
+
+const TEXT_STYLE = 'color: #000000;';
+const LIST_STYLE = 'list-style-type: disc; padding-left: 20px; color: #000000;';
+const ITEM_STYLE = 'font-size: 12pt; color: #000000; text-align: left;';
+
+const list = (items, renderItem) => html`
+        <ul style="${LIST_STYLE}">
+            ${items.length > 0 ? items.map(item => html`<li style="${ITEM_STYLE}">${renderItem(item)}</li>`) : html`<li style="${ITEM_STYLE}">None</li>`}
+        </ul>`;
+
+const section = (title, items, renderItem) => (items.length > 0 ? html`
+        <h2>${title}</h2>${list(items, renderItem)}` : '');
+
+function renderJob(job) {
+    return html`${link(job.url, job.title || 'N/A')}${job.parentCompany && job.parentCompany !== 'N/A' ? ` (Parent: ${job.parentCompany})` : ''} - ${job.location || 'N/A'}${job.salaryRange ? html` - <b>${job.salaryRange}</b>` : ''}`;
+}
+
+function renderNewListings(groups) {
+    if (groups.length === 0) return list([], () => '');
+    return groups.map(group => html`
+        <h3>${group.area} (${group.jobCount})</h3>
+        ${group.companies.map(company => html`
+        <p style="${TEXT_STYLE} margin-bottom: 0;"><b>${company.name}</b></p>${list(company.jobs, renderJob)}`)}`);
+}
+
+/**
+ * @param {Object} view - Result of toReportView (see report/index.js)
+ * @returns {string}
+ */
+export function renderHtml(view) {
+    return html`
+        <p style="font-weight: bold; font-size: 24pt; color: #000000; text-align: center;">Your Culinary Agent scraper completed at ${view.completionTime}</p>
+        <p style="${TEXT_STYLE}">Duration: ${view.durationMinutes} minutes (${view.durationSeconds} seconds)</p>
+        ${view.territory ? html`<p style="${TEXT_STYLE}">Listings in your territory: ${view.territory.join(', ')}</p>` : ''}
+
+        <h2>Summary</h2>
+        <ul style="${TEXT_STYLE}">
+            ${view.summary.map(entry => html`<li><b>${entry.count}</b> ${entry.text}</li>`)}
+        </ul>
+        ${section('Errors:', view.errors, error => html`${error.message}${error.count > 1 ? ` (${error.count} times)` : ''}`)}
+        ${section('Unexported Jobs (will be retried next run):', view.unexportedJobs, job => html`${job.title || 'N/A'} at ${job.company || 'N/A'} - not yet in ${job.sink} (${link(job.url, job.url)})`)}
+        ${section('Restaurant Groups Hiring:', view.groupHiring, group => html`<b>${group.group_name}</b>: ${group.open_postings} open roles across ${group.venues_hiring} of ${group.venue_count} venues (${group.postings_last_90_days} postings in 90 days)`)}
+        ${section('Company Websites to Review:', view.websitesForReview, site => html`${site.company}: ${link(site.url, site.url)} (confidence ${site.confidence})`)}
+        ${section('Possible Agency Postings (held for review):', view.agencyReviewJobs, job => html`${link(job.url, job.title || 'N/A')} at ${job.company || 'N/A'} - ${job.location || 'N/A'} (${job.reasons.join('; ')})`)}
+
+        <h2>New Listings Processed:</h2>
+        ${renderNewListings(view.newListingGroups)}
+
+        <hr>
+
+        <h2>Excluded Listings:</h2>
+        <p style="font-size: 10pt; color: #000000;">${view.exclusionRules.length > 0
+            ? `Current Exclusion List ${view.exclusionRules.map(group => `(${group.label}): ${group.rules.join(', ')}`).join(' | ')}`
+            : 'No exclusion rules are active.'}</p>
+        ${list(view.excludedJobs, job => html`${job.title || 'N/A'} at ${job.rawCompany || 'N/A'} - ${job.location || 'N/A'}`)}
+        ${section('Excluded Companies Hiring:', view.excludedActivity, company => html`<b>${company.company}</b>: ${company.open_postings} open postings (${company.postings_last_90_days} in 90 days) in ${company.metros || 'unknown metros'} - roles: ${company.roles || 'N/A'}`)}
+
+        ${view.quote ? html`<p style="font-style: italic; margin-top: 20px; padding-top: 10px; border-top: 1px dashed #ccc; color: #000000;">"${view.quote.content}" - ${view.quote.author}</p>` : ''}
+
+        <p style="${TEXT_STYLE}">You can review new listings at ${link(view.reviewSiteUrl, view.reviewSiteUrl)}</p>
+    `.toString();
+}
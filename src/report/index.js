@@ -0,0 +1,212 @@
+/**
+ * Completion report: the email sent at the end of every run.
+ *
+ * buildReport turns the run statistics into one view model per recipient (dates in the
+ * report's time zone, listings in the recipient's territory, new listings grouped by metro
+ * area and company) and renders it twice: as escaped HTML (html.js) and as plain text
+ * (text.js) for the alternative part. saveReport writes both to disk so the email can be
+ * previewed without sending it.
+ */
+import fs from 'fs/promises';
+import path from 'path';
+import { KeyValueStore } from 'crawlee';
+import { filterJobsForRecipient } from '../report_config.js';
+import { escapeHtml, renderHtml } from './html.js';
+import { renderText } from './text.js';
+
+const CURRENCY_SYMBOLS = { USD: '$', GBP: '£', EUR: '€' };
+const PERIOD_SUFFIXES = { hourly: '/hr', daily: '/day', weekly: '/wk', monthly: '/mo', yearly: '/yr' };
+const EXCLUSION_RULE_LABELS = { exact: 'Exact Match', partial: 'Partial Match', regex: 'Regex Match' };
+const OTHER_LOCATIONS = 'Other locations';
+const MAX_RAW_SALARY_LENGTH = 60;
+
+function formatAmount(value, symbol) {
+    const amount = value >= 1000 && value % 1000 === 0
+        ? `${value / 1000}k`
+        : value.toLocaleString('en-US', { minimumFractionDigits: Number.isInteger(value) ? 0 : 2, maximumFractionDigits: 2 });
+    return `${symbol}${amount}`;
+}
+
+/**
+ * @param {Object} job - Reported job with the salary fields of enrichJob
+ * @returns {string|null} - e.g. "$65k - $75k/yr" or "$22/hr"; the raw text when it could not be parsed
+ */
+export function formatSalaryRange(job) {
+    if (job.salaryMin === null || job.salaryMin === undefined) {
+        const raw = (job.salary || '').trim();
+        if (!raw || raw === 'N/A') return null;
+        return raw.length > MAX_RAW_SALARY_LENGTH ? `${raw.substring(0, MAX_RAW_SALARY_LENGTH - 3)}...` : raw;
+    }
+    const symbol = CURRENCY_SYMBOLS[job.salaryCurrency] || '';
+    const suffix = PERIOD_SUFFIXES[job.salaryPeriod] || '';
+    const range = job.salaryMax && job.salaryMax !== job.salaryMin
+        ? `${formatAmount(job.salaryMin, symbol)} - ${formatAmount(job.salaryMax, symbol)}`
+        : formatAmount(job.salaryMin, symbol);
+    // Currencies without a symbol are named after the amount ("65k - 75k/yr CAD")
+    return !symbol && job.salaryCurrency ? `${range}${suffix} ${job.salaryCurrency}` : `${range}${suffix}`;
+}
+
+// Metro area, else the state, else "Other locations" (always listed last)
+const areaOf = (job) => job.metro || (job.state ? `${job.state} (outside metro areas)` : OTHER_LOCATIONS);
+
+/**
+ * Groups new listings by area, then by company
+ * @returns {Array<{area: string, jobCount: number, companies: Array<{name: string, jobs: Array<Object>}>}>}
+ */
+function groupNewListings(jobs) {
+    const areas = new Map();
+    for (const job of jobs) {
+        const area = areaOf(job);
+        if (!areas.has(area)) areas.set(area, new Map());
+        const companies = areas.get(area);
+        const company = job.company || 'N/A';
+        if (!companies.has(company)) companies.set(company, []);
+        companies.get(company).push({ ...job, salaryRange: formatSalaryRange(job) });
+    }
+
+    return [...areas.entries()]
+        .map(([area, companies]) => ({
+            area,
+            jobCount: [...companies.values()].reduce((count, companyJobs) => count + companyJobs.length, 0),
+            companies: [...companies.entries()]
+                .map(([name, companyJobs]) => ({ name, jobs: companyJobs }))
+                .sort((a, b) => a.name.localeCompare(b.name))
+        }))
+        .sort((a, b) => (a.area === OTHER_LOCATIONS) - (b.area === OTHER_LOCATIONS) || b.jobCount - a.jobCount || a.area.localeCompare(b.area));
+}
+
+// Same message from many listings is reported once with a count
+function summarizeErrors(errors) {
+    const counts = new Map();
+    for (const { stage, message } of errors) {
+        const key = stage ? `${stage}: ${message}` : message;
+        counts.set(key, (counts.get(key) || 0) + 1);
+    }
+    return [...counts.entries()].map(([message, count]) => ({ message, count }));
+}
+
+function uniqueByUrl(jobs) {
+    const seen = new Set();
+    return jobs.filter(job => {
+        if (!job || !job.url) return false;
+        const url = job.url.toLowerCase();
+        if (seen.has(url)) return false;
+        seen.add(url);
+        return true;
+    });
+}
+
+function summaryEntries(stats, newListings, agencyReviewJobs, excludedJobs) {
+    const count = (status) => stats.recheckedJobs.filter(job => job.status === status).length;
+    const cache = stats.websiteCacheStats;
+    const entries = [
+        { count: stats.processedCount || 0, text: 'listings were successfully processed.' },
+        { count: newListings.length, text: 'listings added to this email report (unique URL for this run).' },
+        { count: stats.skippedDuplicateJobs.length, text: 'listings were skipped (already in DB).' },
+        { count: excludedJobs.length, text: 'unique listings were skipped (excluded company).' },
+        agencyReviewJobs.length > 0 && { count: agencyReviewJobs.length, text: 'listings look like staffing-agency postings and are held for review.' },
+        { count: stats.expiredJobs.length, text: 'listings were marked expired (no longer in search results).' },
+        stats.recheckedJobs.length > 0 && { count: stats.recheckedJobs.length, text: `stale listings re-checked: ${count('filled')} filled, ${count('expired')} closed, ${count('active')} still open.` },
+        cache && cache.lookups > 0 && { count: `${Math.round(cache.hitRate * 100)}%`, text: `company website cache hit rate (${cache.hits + cache.negativeHits} of ${cache.lookups} lookups, ${cache.apiCallsSaved} SearchAPI calls saved).` },
+        stats.websiteStats && stats.websiteStats.sites > 0 && { count: stats.websiteStats.sites, text: `company websites read (${stats.websiteStats.pages} pages), LinkedIn page found for ${stats.websiteStats.linkedin}.` },
+        ...stats.contactStats.map(provider => ({ count: provider.contacts, text: `contacts from ${provider.provider} in ${provider.lookups} lookups${provider.errors > 0 ? ` (${provider.errors} failed)` : ''}.` })),
+        stats.excludedStats && stats.excludedStats.stored > 0 && { count: stats.excludedStats.stored, text: 'excluded-company postings stored for market intelligence.' },
+        stats.groupStats && stats.groupStats.crawled > 0 && { count: stats.groupStats.crawled, text: `restaurant group profiles crawled (${stats.groupStats.venues} venues stored).` },
+        ...stats.exportStats.map(sink => ({ count: sink.exported, text: `jobs exported to ${sink.sink}${sink.pending > 0 ? ` (${sink.pending} could not be exported: ${sink.lastError})` : ''}.` })),
+        stats.errors.length > 0 && { count: stats.errors.length, text: 'errors during the run (see below).' }
+    ];
+    return entries.filter(Boolean);
+}
+
+function toReportView(stats, reportConfig, recipient, quote) {
+    const { timeZone } = reportConfig;
+    // Listings outside the recipient's territory are left out; run-wide totals are not
+    const newListings = filterJobsForRecipient(stats.newlyAddedJobs, recipient);
+    const agencyReviewJobs = filterJobsForRecipient(stats.agencyReviewJobs, recipient);
+    const excludedJobs = uniqueByUrl(stats.skippedExcludedJobs);
+
+    const describeExclusionRule = (rule) => {
+        const notes = [rule.reason, rule.expiresAt ? `until ${new Date(rule.expiresAt).toLocaleDateString('en-US', { timeZone })}` : null].filter(Boolean);
+        return notes.length > 0 ? `${rule.pattern} (${notes.join(', ')})` : rule.pattern;
+    };
+
+    return {
+        completionTime: new Date(stats.endTime).toLocaleString('en-US', {
+            timeZone,
+            year: 'numeric', month: 'long', day: 'numeric',
+            hour: 'numeric', minute: '2-digit', second: '2-digit', hour12: true
+        }),
+        durationMinutes: Math.round(stats.durationMs / 60000),
+        durationSeconds: Math.round(stats.durationMs / 1000),
+        territory: recipient.states,
+        summary: summaryEntries(stats, newListings, agencyReviewJobs, excludedJobs),
+        errors: summarizeErrors(stats.errors),
+        unexportedJobs: stats.unexportedJobs,
+        groupHiring: stats.groupHiring,
+        websitesForReview: stats.websitesForReview,
+        agencyReviewJobs,
+        newListingGroups: groupNewListings(newListings),
+        exclusionRules: Object.entries(EXCLUSION_RULE_LABELS)
+            .map(([type, label]) => ({ label, rules: stats.exclusionRules.filter(rule => rule.matchType === type).map(describeExclusionRule) }))
+            .filter(group => group.rules.length > 0),
+        excludedJobs,
+        excludedActivity: stats.excludedActivity,
+        quote,
+        reviewSiteUrl: reportConfig.reviewSiteUrl
+    };
+}
+
+// Optional lists default to empty so the templates never check for them
+const REPORT_LISTS = [
+    'newlyAddedJobs', 'agencyReviewJobs', 'skippedDuplicateJobs', 'skippedExcludedJobs', 'exclusionRules', 'expiredJobs',
+    'recheckedJobs', 'exportStats', 'unexportedJobs', 'groupHiring', 'excludedActivity', 'contactStats', 'websitesForReview', 'errors'
+];
+
+/**
+ * Renders the completion report for one recipient
+ * @param {Object} stats - Run statistics collected in main.js
+ * @param {Object} reportConfig - Result of getReportConfig
+ * @param {{email: string, states: Array<string>|null}} recipient
+ * @param {{content: string, author: string}|null} [quote] - Quote shown at the end
+ * @returns {{subject: string, html: string, text: string}}
+ */
+export function buildReport(stats, reportConfig, recipient, quote = null) {
+    const fullStats = { ...stats };
+    for (const key of REPORT_LISTS) fullStats[key] = stats[key] || [];
+    const view = toReportView(fullStats, reportConfig, recipient, quote);
+
+    const todayDate = new Date(stats.endTime).toLocaleDateString('en-US', {
+        timeZone: reportConfig.timeZone,
+        year: 'numeric', month: 'long', day: 'numeric'
+    });
+    return {
+        subject: `BizDev Results for ${todayDate}`,
+        html: renderHtml(view),
+        text: renderText(view)
+    };
+}
+
+/**
+ * Writes a rendered report to <dir>/<name>.html and <name>.txt, and stores both in the
+ * run's key-value store so they can be opened when the actor runs on the Apify platform
+ * @param {{subject: string, html: string, text: string}} report
+ * @param {string} dir - Output directory
+ * @param {string} name - File name without extension
+ * @returns {Promise<Array<string>>} - Paths of the written files
+ */
+export async function saveReport(report, dir, name) {
+    const baseName = name.replace(/[^a-zA-Z0-9!\-_.'()]/g, '_');
+    const htmlDocument = `<!DOCTYPE html>\n<html>\n<head><meta charset="utf-8"><title>${escapeHtml(report.subject)}</title></head>\n<body>${report.html}</body>\n</html>\n`;
+    const files = [
+        { path: path.resolve(dir, `${baseName}.html`), content: htmlDocument, contentType: 'text/html' },
+        { path: path.resolve(dir, `${baseName}.txt`), content: report.text, contentType: 'text/plain' }
+    ];
+
+    await fs.mkdir(path.resolve(dir), { recursive: true });
+    const store = await KeyValueStore.open();
+    for (const file of files) {
+        await fs.writeFile(file.path, file.content);
+        await store.setValue(path.basename(file.path), file.content, { contentType: file.contentType });
+    }
+    return files.map(file => file.path);
+}
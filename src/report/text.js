@@ -0,0 +1,60 @@
+/**
+ * Plain-text part of the completion report, for mail clients that do not show HTML.
+ * Mirrors the sections of renderHtml.
+ */
+
+const RULE = '-'.repeat(60);
+
+function section(title, items, renderItem) {
+    if (items.length === 0) return [];
+    return ['', title.toUpperCase(), ...items.map(item => `- ${renderItem(item)}`)];
+}
+
+function renderJob(job) {
+    const parts = [job.title || 'N/A'];
+    if (job.parentCompany && job.parentCompany !== 'N/A') parts.push(`(Parent: ${job.parentCompany})`);
+    parts.push(`- ${job.location || 'N/A'}`);
+    if (job.salaryRange) parts.push(`- ${job.salaryRange}`);
+    return job.url ? `${parts.join(' ')}\n    ${job.url}` : parts.join(' ');
+}
+
+/**
+ * @param {Object} view - Result of toReportView (see report/index.js)
+ * @returns {string}
+ */
+export function renderText(view) {
+    const lines = [
+        `Your Culinary Agent scraper completed at ${view.completionTime}`,
+        `Duration: ${view.durationMinutes} minutes (${view.durationSeconds} seconds)`
+    ];
+    if (view.territory) lines.push(`Listings in your territory: ${view.territory.join(', ')}`);
+
+    lines.push('', 'SUMMARY', ...view.summary.map(entry => `- ${entry.count} ${entry.text}`));
+    lines.push(...section('Errors', view.errors, error => `${error.message}${error.count > 1 ? ` (${error.count} times)` : ''}`));
+    lines.push(...section('Unexported jobs (will be retried next run)', view.unexportedJobs, job => `${job.title || 'N/A'} at ${job.company || 'N/A'} - not yet in ${job.sink} (${job.url})`));
+    lines.push(...section('Restaurant groups hiring', view.groupHiring, group => `${group.group_name}: ${group.open_postings} open roles across ${group.venues_hiring} of ${group.venue_count} venues (${group.postings_last_90_days} postings in 90 days)`));
+    lines.push(...section('Company websites to review', view.websitesForReview, site => `${site.company}: ${site.url} (confidence ${site.confidence})`));
+    lines.push(...section('Possible agency postings (held for review)', view.agencyReviewJobs, job => `${job.title || 'N/A'} at ${job.company || 'N/A'} - ${job.location || 'N/A'} (${job.reasons.join('; ')})\n    ${job.url}`));
+
+    lines.push('', 'NEW LISTINGS PROCESSED');
+    if (view.newListingGroups.length === 0) lines.push('- None');
+    for (const group of view.newListingGroups) {
+        lines.push('', `${group.area} (${group.jobCount})`);
+        for (const company of group.companies) {
+            lines.push(`  ${company.name}`, ...company.jobs.map(job => `  - ${renderJob(job)}`));
+        }
+    }
+
+    lines.push('', RULE, '', 'EXCLUDED LISTINGS');
+    lines.push(view.exclusionRules.length > 0
+        ? `Current exclusion list ${view.exclusionRules.map(group => `(${group.label}): ${group.rules.join(', ')}`).join(' | ')}`
+        : 'No exclusion rules are active.');
+    lines.push(...(view.excludedJobs.length > 0
+        ? view.excludedJobs.map(job => `- ${job.title || 'N/A'} at ${job.rawCompany || 'N/A'} - ${job.location || 'N/A'}`)
+        : ['- None']));
+    lines.push(...section('Excluded companies hiring', view.excludedActivity, company => `${company.company}: ${company.open_postings} open postings (${company.postings_last_90_days} in 90 days) in ${company.metros || 'unknown metros'} - roles: ${company.roles || 'N/A'}`));
+
+    if (view.quote) lines.push('', `"${view.quote.content}" - ${view.quote.author}`);
+    lines.push('', `You can review new listings at ${view.reviewSiteUrl}`, '');
+    return lines.join('\n');
+}
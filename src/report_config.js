@@ -0,0 +1,90 @@
+/**
+ * Completion report settings: who receives the email, who it is from, which time zone its
+ * dates use and where the review site lives.
+ *
+ * Everything comes from the actor input, with the values the report always used as defaults.
+ * A recipient can be limited to a territory (a list of states); their report then only lists
+ * postings in those states. Postings whose state is unknown go to unfiltered recipients only.
+ * With reportDelivery "file" (or "both") the rendered report is written to reportDir so it
+ * can be previewed without sending it through Resend.
+ */
+
+export const DEFAULT_REPORT_RECIPIENTS = ['aj@chefsheet.com', 'martha@madison-collective.com'];
+export const DEFAULT_REPORT_FROM = 'Culinary Scraper <onboarding@resend.dev>';
+export const DEFAULT_REPORT_TIME_ZONE = 'America/Los_Angeles';
+export const DEFAULT_REVIEW_SITE_URL = 'https://madisonbizdev-production.up.railway.app/';
+export const REPORT_DELIVERIES = ['email', 'file', 'both'];
+export const DEFAULT_REPORT_DIR = 'reports';
+
+// "name@example.com" or "Name <name@example.com>"
+const ADDRESS_PATTERN = /^(?:[^<>]+<\s*)?[^\s@<>]+@[^\s@<>]+\.[^\s@<>]+(?:\s*>)?$/;
+const STATE_PATTERN = /^[A-Z]{2}$/;
+
+function toAddress(value, field) {
+    const address = typeof value === 'string' ? value.trim() : '';
+    if (!ADDRESS_PATTERN.test(address)) {
+        throw new Error(`REPORT CONFIG: Invalid email address "${value}" in ${field}`);
+    }
+    return address;
+}
+
+/**
+ * @param {string|Object} raw - An address, or { email, states }
+ * @returns {{email: string, states: Array<string>|null}}
+ */
+function toRecipient(raw) {
+    const { email, states } = typeof raw === 'string' ? { email: raw } : (raw || {});
+    const recipient = { email: toAddress(email, 'reportRecipients'), states: null };
+    if (Array.isArray(states) && states.length > 0) {
+        recipient.states = states.map(state => String(state).trim().toUpperCase());
+        const invalid = recipient.states.filter(state => !STATE_PATTERN.test(state));
+        if (invalid.length > 0) {
+            throw new Error(`REPORT CONFIG: Invalid state ${invalid.join(', ')} for ${recipient.email} (expected two-letter codes such as NY)`);
+        }
+    }
+    return recipient;
+}
+
+/**
+ * Builds the report settings from actor input
+ * @param {Object} input - Actor input (reportRecipients, reportCc, reportFrom, reportReplyTo, reportTimeZone, reviewSiteUrl,
+ *                         reportDelivery, reportDir)
+ * @returns {{recipients: Array<{email: string, states: Array<string>|null}>, cc: Array<string>, from: string,
+ *            replyTo: string|null, timeZone: string, reviewSiteUrl: string, sendEmail: boolean, reportDir: string|null}}
+ */
+export function getReportConfig(input = {}) {
+    const recipients = Array.isArray(input.reportRecipients) && input.reportRecipients.length > 0
+        ? input.reportRecipients
+        : DEFAULT_REPORT_RECIPIENTS;
+    const timeZone = input.reportTimeZone || DEFAULT_REPORT_TIME_ZONE;
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+    } catch {
+        throw new Error(`REPORT CONFIG: Unknown time zone "${timeZone}" (expected an IANA name such as America/New_York)`);
+    }
+    const delivery = input.reportDelivery || 'email';
+    if (!REPORT_DELIVERIES.includes(delivery)) {
+        throw new Error(`REPORT CONFIG: Unknown report delivery "${delivery}" (expected one of ${REPORT_DELIVERIES.join(', ')})`);
+    }
+
+    return {
+        recipients: recipients.map(toRecipient),
+        cc: (input.reportCc || []).filter(Boolean).map(address => toAddress(address, 'reportCc')),
+        from: input.reportFrom ? toAddress(input.reportFrom, 'reportFrom') : DEFAULT_REPORT_FROM,
+        replyTo: input.reportReplyTo ? toAddress(input.reportReplyTo, 'reportReplyTo') : null,
+        timeZone,
+        reviewSiteUrl: input.reviewSiteUrl || DEFAULT_REVIEW_SITE_URL,
+        sendEmail: delivery !== 'file',
+        reportDir: delivery !== 'email' ? (input.reportDir || DEFAULT_REPORT_DIR) : null
+    };
+}
+
+/**
+ * @param {Array<Object>} jobs - Report entries with a `state` (two-letter code or null)
+ * @param {{states: Array<string>|null}} recipient
+ * @returns {Array<Object>} - The entries in the recipient's territory (all of them when unfiltered)
+ */
+export function filterJobsForRecipient(jobs, recipient) {
+    if (!recipient.states) return jobs;
+    return jobs.filter(job => job.state && recipient.states.includes(job.state));
+}
@@ -0,0 +1,143 @@
+/**
+ * Compensation parser shared by all job sources.
+ * Turns free-text pay such as "$65k-$75k", "$22/hr + tips" or "DOE" into structured,
+ * annualized values for the salary_* columns.
+ */
+
+// Working units per year, used to annualize non-yearly pay
+const ANNUAL_MULTIPLIERS = {
+    hourly: 2080,
+    daily: 260,
+    weekly: 52,
+    monthly: 12,
+    yearly: 1
+};
+
+const CURRENCY_SYMBOLS = {
+    '$': 'USD',
+    '£': 'GBP',
+    '€': 'EUR'
+};
+
+const PERIOD_PATTERNS = [
+    { period: 'hourly', pattern: /\b(?:per|an?|\/)\s*(?:hour|hr)\b|\/\s*h\b|\bhourly\b|\bhr\b/i },
+    { period: 'daily', pattern: /\b(?:per|a|\/)\s*day\b|\bdaily\b/i },
+    { period: 'weekly', pattern: /\b(?:per|a|\/)\s*(?:week|wk)\b|\bweekly\b/i },
+    { period: 'monthly', pattern: /\b(?:per|a|\/)\s*(?:month|mo)\b|\bmonthly\b/i },
+    { period: 'yearly', pattern: /\b(?:per|an?|\/)\s*(?:year|yr|annum)\b|\b(?:yearly|annually|annual|salary|salaried)\b/i }
+];
+
+// "Depending on experience" and friends: pay exists but is not stated
+const NEGOTIABLE_PATTERN = /\b(?:DOE|DOQ|BOE|negotiable|commensurate|depending on experience|based on experience|competitive)\b/i;
+
+// Currency-anchored amount, optionally followed by a range: "$65k - $75k", "$18.50 to 22", "£30,000"
+const AMOUNT = '(\\d{1,3}(?:,\\d{3})+|\\d+(?:\\.\\d+)?)\\s*([kK])?';
+const SALARY_PATTERN = new RegExp(`([$£€])\\s*${AMOUNT}(?:\\s*(?:-|–|—|to)\\s*[$£€]?\\s*${AMOUNT})?`, 'g');
+
+// Amounts that are not pay: "$5k sign-on bonus", "$50 uniform deposit", "relocation stipend of $2,000"
+const NON_PAY_WORDS = '(?:bonus(?:es)?|sign(?:ing|-on| on)|stipends?|per[ -]diem|deposits?|relocation|reimburse\\w*|allowances?|referrals?)';
+const NON_PAY_PATTERN = new RegExp(`\\b${NON_PAY_WORDS}\\b`, 'i');
+const NON_PAY_BEFORE = new RegExp(`\\b${NON_PAY_WORDS}\\s+(?:of|up to|of up to)\\s*$`, 'i');
+// Words after these are extras on top of the amount ("$70k plus bonus"), not what it is
+const PAY_CONNECTOR = /\+|\b(?:plus|and|with)\b/i;
+const CONTEXT_CHARS = 30;
+// Clause breaks and other amounts end an amount's context ("$5k bonus, $60k salary")
+const CONTEXT_BREAK = /[;,.!?\n(]|[$£€]/;
+
+function toNumber(amount, thousands) {
+    const value = parseFloat(amount.replace(/,/g, ''));
+    return thousands ? value * 1000 : value;
+}
+
+// Period stated near the amount; short strings (a salary span) may state it anywhere
+function detectPeriod(text, matchEnd) {
+    const context = text.length <= 80 ? text : text.substring(matchEnd, matchEnd + 30);
+    const found = PERIOD_PATTERNS.find(({ pattern }) => pattern.test(context));
+    return found ? found.period : null;
+}
+
+// No stated period: small numbers are hourly wages, large ones annual salaries
+function inferPeriod(value) {
+    if (value < 200) return 'hourly';
+    if (value >= 10000) return 'yearly';
+    return null;
+}
+
+// Words around an amount, up to the nearest clause break or other amount on either side
+function amountContext(text, match) {
+    const before = text.substring(Math.max(0, match.index - CONTEXT_CHARS), match.index);
+    const breakBefore = Math.max(...[...before].map((char, i) => (CONTEXT_BREAK.test(char) ? i : -1)));
+    const end = match.index + match[0].length;
+    const after = text.substring(end, end + CONTEXT_CHARS);
+    const breakAfter = after.search(CONTEXT_BREAK);
+    return {
+        before: before.substring(breakBefore + 1),
+        after: breakAfter === -1 ? after : after.substring(0, breakAfter)
+    };
+}
+
+// The amount is a bonus or stipend itself ("$5k sign-on bonus", "stipend of $2,000"), not pay
+// that comes with one ("$65k + bonus")
+const isNonPay = (context) => NON_PAY_PATTERN.test(context.after.split(PAY_CONNECTOR)[0]) || NON_PAY_BEFORE.test(context.before);
+
+// First amount that is pay rather than a bonus or stipend, preferring one with a stated period
+function findPayAmount(text) {
+    const candidates = [...text.matchAll(SALARY_PATTERN)]
+        .map(match => ({ match, context: amountContext(text, match) }))
+        .filter(({ context }) => !isNonPay(context));
+    const withPeriod = candidates.find(({ context }) => PERIOD_PATTERNS.some(({ pattern }) => pattern.test(context.after)));
+    return (withPeriod || candidates[0])?.match || null;
+}
+
+/**
+ * Parses a compensation string
+ * @param {string} text - Raw salary text (card span, highlight item or job description)
+ * @returns {Object} - { min, max, currency, period, annualMin, annualMax, tips, negotiable }
+ *                     Amounts are null when the text states none.
+ */
+export function parseCompensation(text) {
+    const result = {
+        min: null,
+        max: null,
+        currency: null,
+        period: null,
+        annualMin: null,
+        annualMax: null,
+        tips: false,
+        negotiable: false
+    };
+
+    if (!text || typeof text !== 'string' || text === 'N/A') {
+        return result;
+    }
+
+    result.tips = /\btips?\b|\bgratuit/i.test(text);
+    result.negotiable = NEGOTIABLE_PATTERN.test(text);
+
+    const match = findPayAmount(text);
+    if (!match) {
+        return result;
+    }
+
+    const [, symbol, firstAmount, firstK, secondAmount, secondK] = match;
+    // "$65-75k": the k on the upper bound applies to the lower bound too
+    const rangeInThousands = !firstK && secondK && parseFloat(firstAmount.replace(/,/g, '')) < 1000;
+    let min = toNumber(firstAmount, firstK || rangeInThousands);
+    let max = secondAmount ? toNumber(secondAmount, secondK) : min;
+    if (max < min) {
+        [min, max] = [max, min];
+    }
+
+    result.min = min;
+    result.max = max;
+    result.currency = CURRENCY_SYMBOLS[symbol] || 'USD';
+    result.period = detectPeriod(text, match.index + match[0].length) || inferPeriod(max);
+
+    const multiplier = ANNUAL_MULTIPLIERS[result.period];
+    if (multiplier) {
+        result.annualMin = Math.round(min * multiplier);
+        result.annualMax = Math.round(max * multiplier);
+    }
+
+    return result;
+}
@@ -1,77 +1,198 @@
+import { log } from 'crawlee';
+
+// Results on these sites are listings about the business, not its own website
+const AGGREGATOR_DOMAINS = [
+    // Social
+    'linkedin.com', 'facebook.com', 'instagram.com', 'twitter.com', 'x.com', 'tiktok.com', 'youtube.com', 'pinterest.com',
+    // Jobs
+    'indeed.com', 'glassdoor.com', 'ziprecruiter.com', 'culinaryagents.com', 'poachedjobs.com', 'simplyhired.com',
+    'monster.com', 'careerbuilder.com', 'harri.com', 'snagajob.com',
+    // Reviews and directories
+    'yelp.com', 'tripadvisor.com', 'zagat.com', 'theinfatuation.com', 'foursquare.com', 'mapquest.com',
+    'yellowpages.com', 'bbb.org', 'zomato.com', 'guide.michelin.com', 'google.com', 'apple.com', 'wikipedia.org',
+    'crunchbase.com', 'bloomberg.com', 'zoominfo.com', 'dnb.com',
+    // Reservations
+    'opentable.com', 'resy.com', 'exploretock.com', 'tock.com', 'sevenrooms.com', 'tablein.com',
+    // Ordering and delivery
+    'toasttab.com', 'doordash.com', 'ubereats.com', 'grubhub.com', 'seamless.com', 'postmates.com', 'caviar.com',
+    'slicelife.com', 'chownow.com', 'menufy.com', 'ezcater.com', 'order.online', 'squareup.com', 'clover.com',
+    // Menus
+    'menupages.com', 'allmenus.com', 'menupix.com', 'singleplatform.com', 'menuism.com',
+    // News and guides
+    'eater.com', 'timeout.com', 'nytimes.com', 'grubstreet.com', 'nymag.com', 'thrillist.com', 'forbes.com',
+    'patch.com', 'bizjournals.com', 'prnewswire.com', 'businesswire.com'
+];
+
+// Words that say nothing about which business a result is about
+const NAME_STOPWORDS = new Set(['the', 'and', 'of', 'at', 'by', 'a', 'llc', 'inc', 'co', 'company', 'corp', 'restaurant', 'restaurants', 'group']);
+// Filler often added to a restaurant's domain ("thesmithnyc.com", "osteriarestaurant.com")
+const DOMAIN_FILLER = ['the', 'and', 'restaurants', 'restaurant', 'nyc', 'bar', 'kitchen', 'group', 'hospitality', 'official', 'eatery', 'online'];
+// Article-style paths ("/2023/05/...", "/news/...") are press coverage rather than a homepage
+const ARTICLE_PATH_PATTERN = /\/(?:19|20)\d{2}\/|\/(?:news|article|articles|story|stories|blog|press)\//i;
+
+// Results at or above MIN_CONFIDENCE are used; between REVIEW_CONFIDENCE and it they are kept for review only
+export const MIN_CONFIDENCE = 0.6;
+export const REVIEW_CONFIDENCE = 0.25;
+
+const toTokens = (text) => (text || '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[\u2019']/g, '')
+    .split(/[^a-z0-9]+/)
+    .filter(token => token && !NAME_STOPWORDS.has(token));
+
+// Location pages of multi-location brands ("/locations/chicago") resolve to the brand's site
+const LOCATION_PATH_PATTERN = /\/(?:locations?|restaurants|venues|find-us)(?:\/|$)/i;
+const toSiteUrl = (link) => {
+    try {
+        const url = new URL(link);
+        return LOCATION_PATH_PATTERN.test(url.pathname) ? `${url.origin}/` : link;
+    } catch {
+        return link;
+    }
+};
+
+const isAggregator = (domain) => AGGREGATOR_DOMAINS.some(site => domain === site || domain.endsWith(`.${site}`));
+
+/**
+ * Scores how likely a search result is the company's own website
+ * @param {Object} result - Organic result ({ title, link, domain, snippet })
+ * @param {string} companyName
+ * @param {Object} [context]
+ * @param {string} [context.city] - City of the job, when known
+ * @param {Array<string>} [context.knownDomains] - Domains already confirmed for this name in other cities
+ * @returns {number} - Confidence between 0 and 1
+ */
+export function scoreCandidate(result, companyName, { city = '', knownDomains = [] } = {}) {
+    const domain = (result.domain || '').toLowerCase().replace(/^www\./, '');
+    const nameTokens = toTokens(companyName);
+    if (!domain || isAggregator(domain) || nameTokens.length === 0) return 0;
+
+    // Name tokens in the domain label, and how much of the label is something else
+    // ("smithandwollensky" contains "smith" but is mostly another name)
+    const label = domain.split('.').slice(0, -1).join('').replace(/-/g, '');
+    const tokenCoverage = nameTokens.filter(token => label.includes(token)).length / nameTokens.length;
+    const leftover = [...nameTokens, ...DOMAIN_FILLER].reduce((rest, word) => rest.replace(word, ''), label);
+    const domainScore = (tokenCoverage + (1 - leftover.length / label.length)) / 2;
+
+    // Name vs. the closest title segment ("Home | The Smith - NYC" -> "the smith")
+    const titleScore = Math.max(0, ...(result.title || '').split(/\s[-|:\u2013\u2014]\s/).map(segment => {
+        const segmentTokens = new Set(toTokens(segment));
+        const shared = nameTokens.filter(token => segmentTokens.has(token)).length;
+        return shared / new Set([...nameTokens, ...segmentTokens]).size;
+    }));
+
+    const cityTokens = toTokens(city);
+    const text = `${result.title || ''} ${result.snippet || ''} ${result.link || ''}`.toLowerCase();
+    let locationScore = 0;
+    if (knownDomains.includes(domain)) {
+        // A multi-location brand's site may not mention this city, but it was confirmed for another one
+        locationScore = 1;
+    } else if (cityTokens.length === 0) {
+        locationScore = 0.5;
+    } else if (cityTokens.every(token => text.includes(token))) {
+        locationScore = 1;
+    }
+
+    let path = '/';
+    try {
+        path = new URL(result.link).pathname;
+    } catch {
+        // Keep the root path
+    }
+    const pageScore = ARTICLE_PATH_PATTERN.test(path) ? 0 : (path.split('/').filter(Boolean).length <= 1 ? 1 : 0.5);
+
+    const confidence = 0.45 * domainScore + 0.25 * titleScore + 0.2 * locationScore + 0.1 * pageScore;
+    return Math.round(confidence * 100) / 100;
+}
+
 /**
  * Uses SearchAPI.io to find the website URL for a company name.
+ * @param {string} companyName - Company to look up
+ * @param {Object} [options]
+ * @param {string} [options.city] - City of the job; narrows the search and is checked against results
+ * @param {string} [options.state] - State abbreviation of the job
+ * @param {Array<string>} [options.knownDomains] - Domains already confirmed for this name in other cities
+ * @returns {Promise<{url: string|null, status: string, confidence: number|null}>} - status is 'found',
+ *          'review' (best result is too uncertain to use - url is the candidate to check), 'not_found'
+ *          (the search ran but nothing usable came back), 'error' or 'skipped'. Only 'found', 'review'
+ *          and 'not_found' are definitive answers worth caching.
  */
-async function getWebsiteUrlFromSearchAPI(companyName) {
+export async function lookupCompanyWebsite(companyName, { city = '', state = '', knownDomains = [] } = {}) {
     const apiKey = process.env.SEARCH_API_KEY;
 
     if (!apiKey) {
-        console.warn('SEARCH_API_KEY environment variable not found. Skipping search.');
-        return null;
+        log.warning('SEARCH_API_KEY environment variable not found. Skipping search.');
+        return { url: null, status: 'skipped', confidence: null };
     }
 
     if (!companyName || companyName === 'Unknown' || companyName.startsWith('Excluded:')) {
-        console.info(`Skipping search for invalid/excluded company: ${companyName}`);
-        return null;
+        log.debug(`Skipping search for invalid/excluded company: ${companyName}`);
+        return { url: null, status: 'skipped', confidence: null };
     }
 
     try {
-        // Create search query - add "official website" to improve results
-        const searchQuery = `${companyName} official website`;
+        // Create search query - the city tells apart venues sharing a generic name ("The Smith"),
+        // and "official website" improves results
+        const place = [city, state].filter(Boolean).join(' ');
+        const searchQuery = `${companyName}${place ? ` ${place}` : ''} official website`;
 
         // Build the API URL
         const searchUrl = `https://www.searchapi.io/api/v1/search?engine=google&q=${encodeURIComponent(searchQuery)}&api_key=${apiKey}`;
 
-        console.info(`SEARCH API: Searching for "${searchQuery}"`);
+        log.info(`SEARCH API: Searching for "${searchQuery}"`);
 
         const response = await fetch(searchUrl);
         const data = await response.json();
 
         if (!response.ok) {
-            console.error(`Search API error: ${data.error || response.statusText}`);
-            return null;
+            log.error(`Search API error: ${data.error || response.statusText}`);
+            return { url: null, status: 'error', confidence: null };
         }
 
         // Check if we have organic results
         if (!data.organic_results || data.organic_results.length === 0) {
-            console.info(`No search results found for "${companyName}"`);
-            return null;
+            log.info(`No search results found for "${companyName}"`);
+            return { url: null, status: 'not_found', confidence: null };
         }
 
-        // Log all results for debugging
-        console.info(`Found ${data.organic_results.length} search results for "${companyName}"`);
-        data.organic_results.slice(0, 3).forEach((result, index) => {
-            console.info(`Result #${index+1}: ${result.title} - ${result.link} (${result.domain})`);
+        // Score every result
+        const candidates = data.organic_results
+            .map(result => ({ result, confidence: scoreCandidate(result, companyName, { city, knownDomains }) }))
+            .sort((a, b) => b.confidence - a.confidence);
+
+        log.debug(`Found ${data.organic_results.length} search results for "${companyName}"`);
+        candidates.slice(0, 3).forEach(({ result, confidence }, index) => {
+            log.debug(`Candidate #${index + 1}: ${result.title} - ${result.link} (${result.domain}) confidence ${confidence}`);
         });
 
-        // Simply use the first result from SearchAPI.io
-        // SearchAPI.io already ranks results by relevance, so the first result is usually the best match
-        const firstResult = data.organic_results[0];
-
-        // Just do a basic check to avoid social media sites
-        const nonCompanySites = ['linkedin.com', 'facebook.com', 'instagram.com', 'twitter.com', 'indeed.com', 'glassdoor.com', 'yelp.com'];
-        if (nonCompanySites.some(site => firstResult.domain.includes(site))) {
-            console.info(`First result is a social media site, checking second result...`);
-
-            // If there's a second result, use that instead
-            if (data.organic_results.length > 1) {
-                const secondResult = data.organic_results[1];
-                if (!nonCompanySites.some(site => secondResult.domain.includes(site))) {
-                    console.info(`Using second result: ${secondResult.link}`);
-                    return secondResult.link;
-                }
-            }
-
-            console.info(`No good alternative found for "${companyName}"`);
-            return null;
+        const best = candidates[0];
+        const url = toSiteUrl(best.result.link);
+        if (best.confidence >= MIN_CONFIDENCE) {
+            log.info(`Using ${url} (confidence ${best.confidence})`);
+            return { url, status: 'found', confidence: best.confidence };
+        }
+        if (best.confidence >= REVIEW_CONFIDENCE) {
+            log.info(`Low-confidence match for "${companyName}": ${url} (confidence ${best.confidence}) - flagged for review`);
+            return { url, status: 'review', confidence: best.confidence };
         }
 
-        console.info(`Using first result: ${firstResult.link}`);
-        return firstResult.link;
+        log.info(`No good match found for "${companyName}" (best confidence ${best.confidence})`);
+        return { url: null, status: 'not_found', confidence: best.confidence };
 
     } catch (error) {
-        console.error(`Error during Search API call for "${companyName}": ${error.message}`);
-        return null;
+        log.error(`Error during Search API call for "${companyName}": ${error.message}`);
+        return { url: null, status: 'error', confidence: null };
     }
 }
 
+/**
+ * Uses SearchAPI.io to find the website URL for a company name.
+ * @returns {Promise<string|null>} - Website URL, or null if none was found
+ */
+async function getWebsiteUrlFromSearchAPI(companyName) {
+    const { url, status } = await lookupCompanyWebsite(companyName);
+    return status === 'found' ? url : null;
+}
+
 export default getWebsiteUrlFromSearchAPI;
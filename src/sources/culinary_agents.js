@@ -0,0 +1,383 @@
+/**
+ * Culinary Agents job source.
+ * Listing pages are crawled with CheerioCrawler; detail pages are fetched directly with node-fetch.
+ */
+import cheerio from 'cheerio';
+import fetch from 'node-fetch';
+import { log } from 'crawlee';
+import { cleanCompanyName, cleanLocationText, parseCompanyAndLocation } from '../company_parser.js';
+import { createSession } from '../auth.js';
+
+const BASE_URL = 'https://culinaryagents.com';
+const SEARCH_PATH = '/search/jobs';
+const JOBS_PER_PAGE = 20; // Culinary Agents shows 20 jobs per page
+const DETAIL_DELAY_MS = 500;
+const MAX_JOBS_WITHOUT_TOTAL = 2000; // Crawl cap when the results page shows no total
+
+// Search form field names on culinaryagents.com/search/jobs, keyed by our filter names.
+// Only names seen in the site's own search URLs belong here: the site silently ignores a
+// name it does not know and returns the unfiltered results.
+const FILTER_PARAMS = {
+    compensationTypes: 'search[compensation][]'
+};
+
+// Matches the original hard-coded salary-only search
+const DEFAULT_FILTERS = { compensationTypes: ['salary'] };
+
+// Detail-page wording for postings that are no longer open
+const FILLED_PATTERN = /position has been filled|job has been filled|no longer hiring/i;
+const CLOSED_PATTERN = /no longer accepting applications|job is no longer (?:available|active)|this job has (?:expired|closed)/i;
+
+// Business profile pages ("Part of" links, venue lists on a group's profile)
+const PROFILE_PATH = '/entities/';
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Logged-in session, only set when the run is configured with credentials
+let session = null;
+
+/**
+ * Builds a search results URL from filters, e.g. { compensationTypes: ['hourly'] }
+ * @param {Object} filters - Search filters (see FILTER_PARAMS for supported keys)
+ * @param {number} offset - Result offset for pagination
+ * @returns {string} - Search URL
+ */
+export function buildSearchUrl(filters = {}, offset = 0) {
+    const params = new URLSearchParams();
+    for (const [filter, param] of Object.entries(FILTER_PARAMS)) {
+        const value = filters[filter];
+        if (Array.isArray(value)) {
+            value.filter(Boolean).forEach(item => params.append(param, item));
+        } else if (value !== undefined && value !== null && value !== '') {
+            params.append(param, String(value));
+        }
+    }
+    if (offset > 0) {
+        params.append('offset', String(offset));
+    }
+    const query = params.toString();
+    return `${BASE_URL}${SEARCH_PATH}${query ? `?${query}` : ''}`;
+}
+
+function ensureAbsoluteUrl(url) {
+    if (!url) return null;
+    return url.startsWith('http') ? url : `${BASE_URL}${url.startsWith('/') ? '' : '/'}${url}`;
+}
+
+// Profile URLs without query string or fragment, so the same profile compares equal
+function toProfileUrl(href) {
+    const url = ensureAbsoluteUrl(href);
+    return url && url.includes(PROFILE_PATH) ? url.split(/[?#]/)[0] : null;
+}
+
+// Finds the first span that looks like a salary ("Salary" label or a $ amount)
+function findSalaryText($, root) {
+    let salaryText = '';
+    $(root).find('span').each((_, spanEl) => {
+        const spanText = $(spanEl).text().trim();
+        if (spanText.toLowerCase().includes('salary') || spanText.match(/\$[\d,k-]+/)) {
+            salaryText = spanText;
+            return false; // Break out of each loop
+        }
+    });
+    return salaryText;
+}
+
+function extractCardLocation($, el, rawCompany, company) {
+    let fullAddress = '';
+
+    // Try new location selector first
+    const locationElement = $(el).find('.font-weight-normal.line-height-21');
+    if (locationElement.length > 0) {
+        fullAddress = locationElement.text().trim();
+    } else {
+        // Fallback to old selector
+        const oldLocationElement = $(el).find('.text-muted.text-ellipsis');
+        if (oldLocationElement.length > 0) {
+            fullAddress = oldLocationElement.text().trim();
+        }
+    }
+
+    if (fullAddress) {
+        // Check if this contains company information mixed with location
+        // If it contains the company name, try to extract just the location part
+        if (fullAddress.includes(rawCompany) || fullAddress.includes(company)) {
+            // Try to extract location after company name or bullet point
+            const bulletIndex = fullAddress.indexOf('•');
+            if (bulletIndex !== -1) {
+                // Take everything after the bullet point
+                fullAddress = fullAddress.substring(bulletIndex + 1).trim();
+            } else {
+                // Try to remove the company name and extract location
+                let cleanedAddress = fullAddress;
+
+                // Remove the company name if it appears at the start
+                if (cleanedAddress.toLowerCase().startsWith(company.toLowerCase())) {
+                    cleanedAddress = cleanedAddress.substring(company.length).trim();
+                }
+
+                // Look for location pattern (City, State) in the remaining text
+                const locationMatch = cleanedAddress.match(/([A-Za-z\s]+,\s*[A-Z]{2})/);
+                if (locationMatch) {
+                    fullAddress = locationMatch[1].trim();
+                } else {
+                    // If no clear location pattern, try to extract just the city/state part
+                    const cityStateMatch = fullAddress.match(/([A-Za-z\s]+,\s*[A-Z]{2})/);
+                    if (cityStateMatch) {
+                        fullAddress = cityStateMatch[1].trim();
+                    }
+                }
+            }
+        }
+
+        // Clean the location text to fix missing spaces (only if it looks like pure location data)
+        // Avoid cleaning if it still contains company-related terms or the company name itself
+        const shouldClean = fullAddress &&
+            !fullAddress.toLowerCase().includes('restaurant') &&
+            !fullAddress.toLowerCase().includes('group') &&
+            !fullAddress.toLowerCase().includes('hospitality') &&
+            !fullAddress.toLowerCase().includes('food') &&
+            !fullAddress.toLowerCase().includes(company.toLowerCase()) &&
+            !fullAddress.includes('•') &&  // Avoid cleaning if it has bullet points (mixed data)
+            fullAddress.length < 100;  // Avoid cleaning very long strings (likely mixed data)
+
+        if (shouldClean) {
+            fullAddress = cleanLocationText(fullAddress);
+        }
+    }
+
+    return fullAddress || 'N/A';
+}
+
+// "About 1,234 jobs" on a results page
+function parseTotalJobs($) {
+    const totalJobsMatch = $('.jobs-count-total').text().trim().match(/About ([0-9,]+) jobs/);
+    return totalJobsMatch && totalJobsMatch[1] ? parseInt(totalJobsMatch[1].replace(/,/g, '')) : null;
+}
+
+// Loads a detail page, with the session cookies when logged in; null on HTTP errors
+async function loadDetailPage(url) {
+    const response = session ? await session.fetch(url) : await fetch(url, { method: 'GET' });
+    const body = await response.text();
+    if (!response.ok) {
+        log.warning(`Failed to fetch job details for ${url}: status ${response.status}`);
+        return null;
+    }
+    return cheerio.load(body);
+}
+
+function parseJobCard($, el) {
+    const url = ensureAbsoluteUrl($(el).attr('href'));
+
+    // Extract title from data-title attribute first, fallback to old selector
+    const title = $(el).attr('data-title') || $(el).find('.job-title strong').text().trim() || 'Unknown';
+
+    // Company name comes from the data-entity attribute, fallback to old selector
+    const rawCompany = $(el).attr('data-entity') ||
+        $(el).find('.text-body.text-ellipsis:not(.job-employment)').text().trim() ||
+        'Unknown';
+    const { name: company } = parseCompanyAndLocation(rawCompany);
+
+    const location = extractCardLocation($, el, rawCompany, company);
+
+    // Extract apply URL
+    const applyElement = $(el).find('a.btn.btn-primary.apply-button');
+    const applyUrl = applyElement.length > 0 ? applyElement.attr('href') : 'N/A';
+
+    // Salary span first, fallback to old selector
+    const salary = findSalaryText($, el) || $(el).find('.job-employment').text().trim() || 'N/A';
+
+    log.debug(`Parsed job card: "${title}" at "${rawCompany}" (${location}), salary: "${salary}"`);
+
+    return {
+        url,
+        title,
+        rawCompany,
+        company,
+        location,
+        searchLocation: cleanCompanyName(location),
+        applyUrl,
+        salary
+    };
+}
+
+/** @type {import('./index.js').JobSourceAdapter} */
+const culinaryAgents = {
+    name: 'culinary_agents',
+    pageDelayMs: 30000,
+
+    async prepare({ credentials }) {
+        if (!credentials) {
+            session = null;
+            return;
+        }
+        session = createSession(credentials);
+        await session.login();
+    },
+
+    preNavigation(request, gotOptions) {
+        if (session) {
+            gotOptions.headers = { ...gotOptions.headers, Cookie: session.getCookieHeader() };
+        }
+    },
+
+    getStartRequests({ searchFilters = DEFAULT_FILTERS }) {
+        return [{ url: buildSearchUrl(searchFilters), userData: { page: 1, searchFilters } }];
+    },
+
+    async parseListingPage({ $, request }) {
+        if (session && await session.ensureLoggedIn($)) {
+            // Throwing makes the crawler retry the page, this time with the new cookies
+            throw new Error(`Session expired while loading ${request.url} - re-authenticated, retrying`);
+        }
+
+        const jobCards = $('.ca-single-job-card');
+
+        let totalJobs = null;
+        if (request.userData?.page === 1 || !request.userData?.page) {
+            totalJobs = parseTotalJobs($);
+        }
+
+        const cards = jobCards.toArray()
+            .map(el => parseJobCard($, el))
+            .filter(card => card.url);
+
+        return { cards, totalJobs };
+    },
+
+    // Only the default search lists every posting; other compensation types leave out
+    // postings that the default search finds
+    coversAllPostings({ searchFilters = DEFAULT_FILTERS }) {
+        const normalized = (values) => [...(values || [])].filter(Boolean).sort().join(',');
+        return normalized(searchFilters.compensationTypes) === normalized(DEFAULT_FILTERS.compensationTypes);
+    },
+
+    getNextPageRequest({ request }, { cards }, progress) {
+        const { accountedJobs, totalJobs } = progress;
+        if (cards.length === 0) {
+            return null;
+        }
+        if (accountedJobs >= (totalJobs || MAX_JOBS_WITHOUT_TOTAL)) {
+            // Without a total from the board we stop at a cap, not at the last page
+            if (!totalJobs) progress.truncated = true;
+            return null;
+        }
+        const page = request.userData?.page || 1;
+        const searchFilters = request.userData?.searchFilters || DEFAULT_FILTERS;
+        return {
+            url: buildSearchUrl(searchFilters, page * JOBS_PER_PAGE),
+            userData: { page: page + 1, searchFilters }
+        };
+    },
+
+    async fetchDetails(card) {
+        await delay(DETAIL_DELAY_MS);
+        let $detail = await loadDetailPage(card.url);
+        if ($detail && session && await session.ensureLoggedIn($detail)) {
+            $detail = await loadDetailPage(card.url);
+        }
+        if (!$detail) return null;
+        log.debug(`Detail page title: "${$detail('title').text()}"`);
+
+        const details = {
+            jobDetails: $detail('#job-details .text-muted div').text().trim() || 'N/A',
+            title: $detail('h1.my-0.font-size-24.font-weight-bold').text().trim() || null,
+            company: $detail('a.business-name.text-primary.text-decoration-none').text().trim() || null,
+            location: $detail('.font-weight-normal.line-height-21').text().trim() || null,
+            salary: findSalaryText($detail, $detail.root()) || null,
+            applyUrl: $detail('a.btn.btn-primary.apply-button').attr('href') || null,
+            companyProfileUrl: toProfileUrl($detail('a.business-name.text-primary.text-decoration-none').attr('href')),
+            parentCompany: null,
+            parentProfileUrl: null,
+            leadership: []
+        };
+
+        const partOfElement = $detail('p:contains("Part of")');
+        if (partOfElement.length > 0) {
+            const partOfLink = partOfElement.find('a.text-muted');
+            if (partOfLink.length > 0) {
+                details.parentCompany = partOfLink.text().trim() || null;
+                details.parentProfileUrl = toProfileUrl(partOfLink.attr('href'));
+            }
+        }
+
+        const leadershipSection = $detail('.leadership-section');
+        if (leadershipSection.length > 0) {
+            leadershipSection.find('a.text-body').each((_, leaderEl) => {
+                const leader = $detail(leaderEl);
+                const name = leader.find('.font-weight-bold').text().trim();
+                const title = leader.find('p').text().trim() || 'N/A';
+                if (name) details.leadership.push({ name, title });
+            });
+        }
+
+        return details;
+    },
+
+    async checkJobStatus(url) {
+        const response = session ? await session.fetch(url) : await fetch(url, { method: 'GET' });
+        if (response.status === 404 || response.status === 410) return 'expired';
+        if (!response.ok) return null;
+
+        // Closed postings redirect back to the search page
+        if (!new URL(response.url).pathname.startsWith('/jobs/')) return 'expired';
+
+        const $detail = cheerio.load(await response.text());
+        const pageText = $detail('body').text();
+        if (FILLED_PATTERN.test(pageText)) return 'filled';
+        if (CLOSED_PATTERN.test(pageText)) return 'expired';
+        return $detail('#job-details').length > 0 ? 'active' : null;
+    },
+
+    async fetchGroupProfile(profileUrl) {
+        await delay(DETAIL_DELAY_MS);
+        const $profile = await loadDetailPage(profileUrl);
+        if (!$profile) return null;
+
+        // Every other business profile linked from a group's page is one of its venues
+        const venues = new Map();
+        $profile(`a[href*="${PROFILE_PATH}"]`).each((_, linkEl) => {
+            const link = $profile(linkEl);
+            const venueUrl = toProfileUrl(link.attr('href'));
+            const name = (link.attr('title') || link.find('.font-weight-bold').first().text() || link.text())
+                .trim().split('\n')[0].trim();
+            if (!venueUrl || venueUrl === profileUrl || !name || venues.has(venueUrl)) return;
+            venues.set(venueUrl, { name, profileUrl: venueUrl });
+        });
+
+        return {
+            name: $profile('h1').first().text().trim() || null,
+            profileUrl,
+            venues: [...venues.values()]
+        };
+    },
+
+    toJob(card, details) {
+        // Detail page values only fill in what the listing card could not provide
+        const title = card.title === 'Unknown' && details.title ? details.title : card.title;
+        const company = card.company === 'Unknown' && details.company
+            ? parseCompanyAndLocation(details.company).name
+            : card.company;
+        const location = (card.location === 'N/A' || !card.location) && details.location ? details.location : card.location;
+        const salary = (card.salary === 'N/A' || !card.salary) && details.salary ? details.salary : card.salary;
+        const applyUrl = (card.applyUrl === 'N/A' || !card.applyUrl) && details.applyUrl ? details.applyUrl : card.applyUrl;
+
+        return {
+            url: card.url,
+            title,
+            company,
+            location,
+            searchLocation: card.searchLocation,
+            salary,
+            applyUrl,
+            jobDetails: details.jobDetails,
+            companyProfileUrl: details.companyProfileUrl,
+            parentCompany: details.parentCompany,
+            parentProfileUrl: details.parentProfileUrl,
+            leadership: details.leadership,
+            source: culinaryAgents.name
+        };
+    }
+};
+
+export default culinaryAgents;
@@ -0,0 +1,100 @@
+/**
+ * Google Jobs source, backed by the SearchAPI.io google_jobs engine.
+ * Listing "pages" are JSON API responses; postings have no separate detail page.
+ */
+import { buildSearchUrl, mapJobResult, processJobsForDatabase } from '../google_jobs_api.js';
+import { log } from 'crawlee';
+import { cleanCompanyName, parseCompanyAndLocation } from '../company_parser.js';
+
+const DEFAULT_MAX_PAGES = 5;
+
+function formatSalary({ salary_min: min, salary_max: max, salary_period: period }) {
+    if (!min) return 'N/A';
+    return max && max !== min ? `$${min}-$${max} ${period}` : `$${min} ${period}`;
+}
+
+/** @type {import('./index.js').JobSourceAdapter} */
+const googleJobs = {
+    name: 'google_jobs',
+    pageDelayMs: 1000,
+
+    // The key goes in a header added at request time, so it never shows up in request URLs,
+    // logs or the checkpointed pagination state
+    preNavigation(request, gotOptions) {
+        gotOptions.headers = { ...gotOptions.headers, Authorization: `Bearer ${process.env.SEARCH_API_KEY}` };
+    },
+
+    getStartRequests({ googleJobsQueries = [], googleJobsLocations = [], googleJobsMaxPages = DEFAULT_MAX_PAGES }) {
+        if (googleJobsQueries.length === 0) return [];
+
+        if (!process.env.SEARCH_API_KEY) {
+            log.warning('SEARCH_API_KEY environment variable not found. Skipping Google Jobs source.');
+            return [];
+        }
+
+        const locations = googleJobsLocations.length > 0 ? googleJobsLocations : [''];
+        return googleJobsQueries.flatMap(query => locations.map(location => ({
+            url: buildSearchUrl(query, location),
+            userData: { page: 1, query, location, maxPages: googleJobsMaxPages }
+        })));
+    },
+
+    async parseListingPage({ json }) {
+        const cards = (json?.jobs || [])
+            .map(mapJobResult)
+            .map(job => ({
+                // Some postings only list per-board links, so fall back to the first one
+                url: job.apply_link || job.apply_links[0]?.link || null,
+                title: job.title,
+                rawCompany: job.company,
+                company: parseCompanyAndLocation(job.company).name,
+                location: job.location,
+                googleJob: job
+            }))
+            .filter(card => card.url);
+
+        return { cards, nextPageToken: json?.pagination?.next_page_token || null };
+    },
+
+    // No coversAllPostings: queries only ever return part of Google Jobs, so a posting missing
+    // from them says nothing about whether it is still open
+
+    getNextPageRequest({ request }, { nextPageToken }, progress) {
+        const { page = 1, query, location, maxPages = DEFAULT_MAX_PAGES } = request.userData;
+        if (!nextPageToken) return null;
+        if (page >= maxPages) {
+            progress.truncated = true;
+            return null;
+        }
+
+        return {
+            url: buildSearchUrl(query, location, nextPageToken),
+            userData: { ...request.userData, page: page + 1 }
+        };
+    },
+
+    async fetchDetails() {
+        // The API response already carries the full description
+        return {};
+    },
+
+    toJob(card) {
+        const [dbJob] = processJobsForDatabase([card.googleJob]);
+
+        return {
+            url: card.url,
+            title: card.title,
+            company: card.company,
+            location: card.location,
+            searchLocation: cleanCompanyName(card.location),
+            salary: formatSalary(dbJob),
+            applyUrl: card.url,
+            jobDetails: dbJob.description,
+            parentCompany: null,
+            leadership: [],
+            source: googleJobs.name
+        };
+    }
+};
+
+export default googleJobs;
@@ -0,0 +1,117 @@
+/**
+ * Job source adapters.
+ *
+ * Every job board is implemented as an adapter with the same contract, so the crawler in
+ * main.js can list pages, parse cards, fetch details and produce normalized jobs without
+ * any board-specific code. To add a board, implement the contract below in a new module
+ * and register it in ADAPTERS.
+ *
+ * @typedef {Object} ListingPage
+ * @property {Object} request - The Crawlee request for the listing page
+ * @property {Function} [$] - Cheerio handle for HTML responses
+ * @property {Object} [json] - Parsed body for JSON responses
+ *
+ * @typedef {Object} JobCard
+ * @property {string} url - Canonical posting URL, used for de-duplication
+ * @property {string} title - Job title
+ * @property {string} rawCompany - Company text exactly as the board shows it
+ * @property {string} company - Company name from parseCompanyAndLocation ("Excluded..." when excluded)
+ *
+ * @typedef {Object} NormalizedJob
+ * @property {string} url
+ * @property {string} title
+ * @property {string} company
+ * @property {string} location
+ * @property {string} searchLocation
+ * @property {string} salary
+ * @property {string} applyUrl
+ * @property {string} jobDetails
+ * @property {string|null} parentCompany
+ * @property {string|null} [companyProfileUrl] - The company's profile page on the board
+ * @property {string|null} [parentProfileUrl] - The parent group's profile page on the board
+ * @property {Array<{name: string, title: string}>} leadership
+ * @property {string} source - Adapter name, written to the `source` column
+ *
+ * @typedef {Object} JobSourceAdapter
+ * @property {string} name - Identifier used as request label and `source` column value
+ * @property {number} pageDelayMs - Politeness delay before queueing the next listing page
+ * @property {(options: Object) => Promise<void>} [prepare] - One-time setup before the crawl (e.g. logging in)
+ * @property {(request: Object, gotOptions: Object) => void} [preNavigation] - Adjusts listing-page requests (e.g. session cookies)
+ * @property {(options: Object) => Array<Object>} getStartRequests - Listing-page requests for this run's input (empty when the source is disabled)
+ * @property {(page: ListingPage) => Promise<{cards: Array<JobCard>, totalJobs?: number}>} parseListingPage - Extracts job cards from a listing page
+ * @property {(page: ListingPage, result: Object, progress: {accountedJobs: number, totalJobs: number|null, truncated: boolean}) => Object|null} getNextPageRequest - Next listing-page request, or null to stop.
+ *     Sets progress.truncated when it stops at a page cap rather than at the last page
+ * @property {(options: Object) => boolean} [coversAllPostings] - Whether this run's search lists every posting on the board.
+ *     Unseen jobs are only expired after a complete crawl of such a search; sources without it are never expired by absence
+ * @property {(card: JobCard) => Promise<Object|null>} fetchDetails - Extra data for a card, or null if it could not be fetched
+ * @property {(card: JobCard, details: Object) => NormalizedJob} toJob - Builds the normalized job
+ * @property {(url: string) => Promise<string|null>} [checkJobStatus] - Re-checks a stored posting: 'active', 'filled', 'expired' or null if undetermined
+ * @property {(profileUrl: string) => Promise<GroupProfile|null>} [fetchGroupProfile] - Lists the venues of a restaurant group from its profile page
+ *
+ * @typedef {Object} GroupProfile
+ * @property {string|null} name - Group name as shown on its profile
+ * @property {string} profileUrl
+ * @property {Array<{name: string, profileUrl: string}>} venues - Sibling venues belonging to the group
+ */
+import culinaryAgents from './culinary_agents.js';
+import googleJobs from './google_jobs.js';
+
+const ADAPTERS = [culinaryAgents, googleJobs];
+
+/**
+ * Looks up an adapter by name (the request label)
+ * @param {string} name - Adapter name
+ * @returns {JobSourceAdapter|null}
+ */
+export function getSourceAdapter(name) {
+    return ADAPTERS.find(adapter => adapter.name === name) || null;
+}
+
+/**
+ * @returns {Array<JobSourceAdapter>} - All registered adapters
+ */
+export function getSourceAdapters() {
+    return [...ADAPTERS];
+}
+
+/**
+ * Runs the one-time setup of every source that has one
+ * @param {Object} options - Run options; each adapter reads only the fields it knows
+ */
+export async function prepareSources(options) {
+    for (const adapter of ADAPTERS) {
+        if (adapter.prepare) {
+            await adapter.prepare(options);
+        }
+    }
+}
+
+/**
+ * Applies the owning adapter's preNavigation hook; use as a CheerioCrawler preNavigationHook
+ */
+export function applySourcePreNavigation({ request }, gotOptions) {
+    const adapter = getSourceAdapter(request.label);
+    if (adapter?.preNavigation) {
+        adapter.preNavigation(request, gotOptions);
+    }
+}
+
+/**
+ * @param {string} name - Adapter name
+ * @param {Object} options - Run options (search filters, queries, ...)
+ * @returns {boolean} - Whether a complete crawl of this run's search can tell which postings are gone
+ */
+export function sourceCoversAllPostings(name, options) {
+    const adapter = getSourceAdapter(name);
+    return Boolean(adapter?.coversAllPostings && adapter.coversAllPostings(options));
+}
+
+/**
+ * Collects the start requests of every enabled source, labelled with the adapter name
+ * @param {Object} options - Run options; each adapter reads only the fields it knows
+ * @returns {Array<Object>} - Requests ready for RequestQueue.addRequests
+ */
+export function getStartRequests(options) {
+    return ADAPTERS.flatMap(adapter => adapter.getStartRequests(options)
+        .map(request => ({ ...request, label: adapter.name })));
+}
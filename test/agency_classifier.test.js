@@ -0,0 +1,48 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { classifyAgency } from '../src/agency_classifier.js';
+
+test('flags a recruiter writing about its client', () => {
+    assert.deepEqual(classifyAgency({
+        company: 'Goodwin Recruiting',
+        jobDetails: 'Our client is seeking a chef',
+        place: { street: null, city: null }
+    }), {
+        score: 1,
+        flagged: true,
+        reasons: [
+            'company name contains "Recruiting"',
+            'description says "Our client"',
+            'description says "client is seeking"',
+            'no venue address'
+        ]
+    });
+});
+
+test('flags a withheld employer name', () => {
+    const result = classifyAgency({ company: 'Confidential', jobDetails: '', place: { street: null, city: 'Austin' } });
+    assert.equal(result.score, 0.6);
+    assert.equal(result.flagged, true);
+});
+
+test('caps the weight of description phrases', () => {
+    const result = classifyAgency({
+        company: 'Acme Hospitality',
+        jobDetails: 'On behalf of our client, a confidential search. Our client is a restaurant group.'
+    });
+    assert.equal(result.reasons.length, 4);
+    assert.equal(result.score, 0.5);
+    assert.equal(result.flagged, true);
+});
+
+test('does not flag a weak name signal alone', () => {
+    const result = classifyAgency({ company: 'Restaurant Associates', jobDetails: 'Join our team', place: { street: '1 Main St', city: 'Boston' } });
+    assert.equal(result.score, 0.3);
+    assert.equal(result.flagged, false);
+});
+
+test('does not flag a restaurant with an address', () => {
+    assert.deepEqual(classifyAgency({ company: 'Carbone', jobDetails: 'N/A', place: { street: '181 Thompson St', city: 'New York' } }), {
+        score: 0, flagged: false, reasons: []
+    });
+});
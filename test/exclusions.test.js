@@ -0,0 +1,72 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { log } from 'crawlee';
+import { findExclusion, getActiveExclusionRules, loadExclusionRules, toExclusionRule } from '../src/exclusions.js';
+
+log.setLevel(log.LEVELS.OFF);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+test('an exact rule matches the name alone or with a location attached', () => {
+    const rule = toExclusionRule('Compass', 'input');
+    assert.equal(rule.matchType, 'exact');
+    assert.equal(rule.test('Compass'), true);
+    assert.equal(rule.test('compass - Boston'), true);
+    assert.equal(rule.test('Boston, Compass'), true);
+    assert.equal(rule.test('Compassion Cafe'), false);
+});
+
+test('a partial rule matches anywhere in the name, also run together', () => {
+    const rule = toExclusionRule({ pattern: 'Whole Foods', matchType: 'partial' }, 'input');
+    assert.equal(rule.test('Whole Foods Market'), true);
+    assert.equal(rule.test('Whole FoodsAustin'), true);
+    assert.equal(rule.test('Wholesome Foods'), false);
+});
+
+test('a regex rule matches case-insensitively', () => {
+    const rule = toExclusionRule({ pattern: 'staff(ing)?\\s+agency', matchType: 'regex', reason: 'Agencies' }, 'input');
+    assert.equal(rule.test('Best Staffing Agency'), true);
+    assert.equal(rule.test('Best Staff Kitchen'), false);
+    assert.equal(rule.reason, 'Agencies');
+});
+
+test('invalid rules are ignored', () => {
+    assert.equal(toExclusionRule({ matchType: 'exact' }, 'input'), null);
+    assert.equal(toExclusionRule({ pattern: 'Compass', matchType: 'fuzzy' }, 'input'), null);
+    assert.equal(toExclusionRule({ pattern: 'Compass', expiresAt: 'someday' }, 'input'), null);
+    assert.equal(toExclusionRule({ pattern: '(', matchType: 'regex' }, 'input'), null);
+    assert.equal(toExclusionRule({ pattern: 'x'.repeat(201), matchType: 'regex' }, 'input'), null);
+    assert.equal(toExclusionRule({ pattern: '(a+)+$', matchType: 'regex' }, 'input'), null);
+    assert.equal(toExclusionRule({ pattern: '([a-z]+){1,}', matchType: 'regex' }, 'input'), null);
+});
+
+test('input rules apply on top of the built-in list and expired ones are left out', async () => {
+    const rules = await loadExclusionRules(null, [
+        'Carbone',
+        { pattern: 'Old Agency', expiresAt: new Date(Date.now() - DAY_MS).toISOString() },
+        { pattern: 'Temp Agency', expiresAt: new Date(Date.now() + DAY_MS).toISOString() },
+        { pattern: '(', matchType: 'regex' },
+        'compass'
+    ]);
+    assert.equal(findExclusion('Carbone').source, 'input');
+    assert.equal(findExclusion('Temp Agency').pattern, 'Temp Agency');
+    assert.equal(findExclusion('Old Agency'), null);
+    // Duplicates of a built-in rule are dropped
+    assert.equal(rules.filter(rule => rule.pattern.toLowerCase() === 'compass').length, 1);
+    assert.equal(findExclusion('Chartwells').source, 'default');
+    assert.equal(findExclusion('Carbonara House'), null);
+    assert.equal(findExclusion(null), null);
+});
+
+test('a rule that expires during the run stops matching', async () => {
+    await loadExclusionRules(null, [{ pattern: 'Soon Gone', expiresAt: new Date(Date.now() + 50).toISOString() }]);
+    assert.ok(findExclusion('Soon Gone'));
+    await new Promise(resolve => setTimeout(resolve, 60));
+    assert.equal(findExclusion('Soon Gone'), null);
+    assert.equal(getActiveExclusionRules().some(rule => rule.pattern === 'Soon Gone'), false);
+});
+
+test('a non-list input is ignored', async () => {
+    const rules = await loadExclusionRules(null, { pattern: 'Carbone' });
+    assert.equal(rules.some(rule => rule.source === 'input'), false);
+});
@@ -0,0 +1,60 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { findMetroArea, parseCityState, parseLocation } from '../src/location_parser.js';
+
+const EMPTY = { street: null, city: null, state: null, zip: null, lat: null, lng: null, metro: null };
+
+test('places a city outside the metro areas', () => {
+    assert.deepEqual(parseLocation('Springfield, IL'), {
+        street: null, city: 'Springfield', state: 'IL', zip: null, lat: 39.7578, lng: -89.606, metro: null
+    });
+});
+
+test('splits street, city and ZIP code without a comma before the city', () => {
+    const place = parseLocation('350 W Broadway New York, NY 10013');
+    assert.equal(place.street, '350 W Broadway');
+    assert.equal(place.city, 'New York');
+    assert.equal(place.state, 'NY');
+    assert.equal(place.zip, '10013');
+    assert.equal(place.metro, 'New York');
+});
+
+test('reads the address segment of a venue blob', () => {
+    const place = parseLocation('Carbone • New York, NY');
+    assert.equal(place.city, 'New York');
+    assert.equal(place.street, null);
+});
+
+test('accepts state names, abbreviations and a country suffix', () => {
+    assert.equal(parseLocation('Chicago, Illinois').state, 'IL');
+    assert.equal(parseLocation('St. Louis, MO').city, 'Saint Louis');
+    assert.equal(parseLocation('Santa Monica, CA, USA').metro, 'Los Angeles');
+});
+
+test('resolves a lone city name the dataset knows', () => {
+    assert.equal(parseLocation('New York').state, 'NY');
+    assert.equal(parseLocation('Ojai').state, 'CA');
+});
+
+test('maps boroughs to the New York metro area', () => {
+    assert.equal(parseLocation('Brooklyn, NY').metro, 'New York');
+    assert.equal(parseLocation('Queens, NY').metro, 'New York');
+});
+
+test('treats remote and hybrid as no location', () => {
+    for (const location of ['Remote', 'Work from home', 'Remote - US', 'Remote - United States', 'USA', 'N/A', '', null]) {
+        assert.deepEqual(parseLocation(location), EMPTY);
+    }
+    assert.equal(parseLocation('Hybrid - Austin, TX').city, 'Austin');
+    assert.equal(parseLocation('Austin, TX (Remote)').metro, 'Austin');
+});
+
+test('finds the metro area around a point', () => {
+    assert.equal(findMetroArea(40.7, -74), 'New York');
+    assert.equal(findMetroArea(0, 0), null);
+});
+
+test('parseCityState returns empty strings for unknown parts', () => {
+    assert.deepEqual(parseCityState('Brooklyn, NY'), { city: 'Brooklyn', state: 'NY' });
+    assert.deepEqual(parseCityState('Remote'), { city: '', state: '' });
+});
@@ -0,0 +1,51 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildReport, formatSalaryRange } from '../src/report/index.js';
+import { escapeHtml, html } from '../src/report/html.js';
+import { filterJobsForRecipient } from '../src/report_config.js';
+
+test('escapeHtml escapes markup characters and tolerates missing values', () => {
+    assert.equal(escapeHtml(`<b>Tom & Jerry's "Bar"</b>`), '&lt;b&gt;Tom &amp; Jerry&#39;s &quot;Bar&quot;&lt;/b&gt;');
+    assert.equal(escapeHtml(null), '');
+    assert.equal(escapeHtml(42), '42');
+});
+
+test('html escapes values but keeps nested fragments and joins arrays', () => {
+    const items = ['<i>', 'A&B'].map(item => html`<li>${item}</li>`);
+    assert.equal(html`<ul>${items}</ul>`.toString(), '<ul><li>&lt;i&gt;</li><li>A&amp;B</li></ul>');
+    assert.equal(html`<p>${null}${false}${undefined}${0}</p>`.toString(), '<p>0</p>');
+});
+
+test('formatSalaryRange formats ranges, single amounts and periods', () => {
+    assert.equal(formatSalaryRange({ salaryMin: 65000, salaryMax: 75000, salaryCurrency: 'USD', salaryPeriod: 'yearly' }), '$65k - $75k/yr');
+    assert.equal(formatSalaryRange({ salaryMin: 22, salaryMax: 22, salaryCurrency: 'USD', salaryPeriod: 'hourly' }), '$22/hr');
+    assert.equal(formatSalaryRange({ salaryMin: 18.5, salaryMax: 21, salaryCurrency: 'GBP', salaryPeriod: 'hourly' }), '£18.50 - £21/hr');
+    assert.equal(formatSalaryRange({ salaryMin: 65000, salaryMax: 75000, salaryCurrency: 'CAD', salaryPeriod: 'yearly' }), '65k - 75k/yr CAD');
+});
+
+test('formatSalaryRange falls back to the raw text', () => {
+    assert.equal(formatSalaryRange({ salaryMin: null, salary: ' DOE ' }), 'DOE');
+    assert.equal(formatSalaryRange({ salaryMin: null, salary: 'N/A' }), null);
+    assert.equal(formatSalaryRange({ salary: 'x'.repeat(80) }), `${'x'.repeat(57)}...`);
+});
+
+test('filterJobsForRecipient keeps the recipient\'s states only', () => {
+    const jobs = [{ url: 'a', state: 'NY' }, { url: 'b', state: 'CA' }, { url: 'c', state: null }];
+    assert.deepEqual(filterJobsForRecipient(jobs, { states: ['NY'] }).map(job => job.url), ['a']);
+    assert.deepEqual(filterJobsForRecipient(jobs, { states: null }), jobs);
+});
+
+test('buildReport escapes scraped text in the HTML part only', () => {
+    const stats = {
+        endTime: Date.UTC(2026, 0, 15, 18, 0),
+        durationMs: 120000,
+        processedCount: 1,
+        newlyAddedJobs: [{ title: '<script>Chef</script>', company: 'Tom & Jerry', url: 'https://example.com/job', state: 'NY', metro: 'New York' }]
+    };
+    const report = buildReport(stats, { timeZone: 'America/New_York', reviewSiteUrl: 'https://example.com/' }, { email: 'a@example.com', states: null });
+    assert.equal(report.subject, 'BizDev Results for January 15, 2026');
+    assert.ok(report.html.includes('&lt;script&gt;Chef&lt;/script&gt;'));
+    assert.ok(!report.html.includes('<script>'));
+    assert.ok(report.html.includes('<b>Tom &amp; Jerry</b>'));
+    assert.ok(report.text.includes('- <script>Chef</script> - N/A'));
+});
@@ -0,0 +1,74 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseCompensation } from '../src/salary_parser.js';
+
+test('parses a yearly range in thousands', () => {
+    assert.deepEqual(parseCompensation('$65k - $75k'), {
+        min: 65000, max: 75000, currency: 'USD', period: 'yearly',
+        annualMin: 65000, annualMax: 75000, tips: false, negotiable: false
+    });
+});
+
+test('applies the k of the upper bound to the lower bound', () => {
+    const pay = parseCompensation('$65-75k');
+    assert.equal(pay.min, 65000);
+    assert.equal(pay.max, 75000);
+});
+
+test('annualizes an hourly wage and notes tips', () => {
+    const pay = parseCompensation('$22/hr + tips');
+    assert.equal(pay.min, 22);
+    assert.equal(pay.period, 'hourly');
+    assert.equal(pay.annualMin, 45760);
+    assert.equal(pay.tips, true);
+});
+
+test('parses comma thousands and other currencies', () => {
+    const pay = parseCompensation('£30,000 per year');
+    assert.equal(pay.min, 30000);
+    assert.equal(pay.currency, 'GBP');
+    assert.equal(pay.period, 'yearly');
+});
+
+test('infers the period from the amount when none is stated', () => {
+    assert.equal(parseCompensation('$18.50 to 22').period, 'hourly');
+    assert.equal(parseCompensation('$55,000').period, 'yearly');
+    assert.equal(parseCompensation('$900').period, null);
+});
+
+test('states no amount for negotiable pay', () => {
+    const pay = parseCompensation('DOE');
+    assert.equal(pay.negotiable, true);
+    assert.equal(pay.min, null);
+    assert.equal(pay.annualMin, null);
+});
+
+test('skips bonus and stipend amounts', () => {
+    assert.equal(parseCompensation('$5k sign-on bonus, $60k salary').min, 60000);
+    assert.equal(parseCompensation('Relocation stipend of $2,000. Pay: $24 per hour').min, 24);
+    assert.equal(parseCompensation('Up to $3,000 signing bonus').min, null);
+    assert.equal(parseCompensation('Sign-on bonus of up to $5,000; $20/hr').min, 20);
+});
+
+test('keeps pay that comes with a bonus', () => {
+    assert.deepEqual(
+        ['$65,000 - $75,000 + Bonus', '$70k plus bonus', '$90k base + bonus', 'Salary $55k-65k + bonus', '$60k salary with $5k bonus']
+            .map(text => [parseCompensation(text).min, parseCompensation(text).max]),
+        [[65000, 75000], [70000, 70000], [90000, 90000], [55000, 65000], [60000, 60000]]
+    );
+    const pay = parseCompensation('$25/hr + sign-on bonus');
+    assert.equal(pay.min, 25);
+    assert.equal(pay.period, 'hourly');
+});
+
+test('prefers an amount with a stated period', () => {
+    const pay = parseCompensation('Our team of 40 serves $2 oysters; we pay $25 per hour for line cooks');
+    assert.equal(pay.min, 25);
+    assert.equal(pay.period, 'hourly');
+});
+
+test('returns empty values for missing text', () => {
+    for (const text of [null, undefined, '', 'N/A']) {
+        assert.equal(parseCompensation(text).min, null);
+    }
+});
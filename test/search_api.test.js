@@ -0,0 +1,26 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MIN_CONFIDENCE, scoreCandidate } from '../src/search_api.js';
+
+const result = (domain, title, link = `https://${domain}/`, snippet = '') => ({ domain, title, link, snippet });
+
+test('trusts the restaurant\'s own homepage', () => {
+    const score = scoreCandidate(result('thesmithrestaurant.com', 'The Smith | American Brasserie', undefined, 'New York'), 'The Smith', { city: 'New York' });
+    assert.equal(score, 1);
+});
+
+test('doubts a domain that is mostly another name', () => {
+    const score = scoreCandidate(result('smithandwollensky.com', 'Smith & Wollensky'), 'The Smith', { city: 'New York' });
+    assert.equal(score, 0.56);
+    assert.ok(score < MIN_CONFIDENCE);
+});
+
+test('accepts a domain confirmed for the name in another city', () => {
+    const candidate = result('thesmithrestaurant.com', 'The Smith', 'https://thesmithrestaurant.com/locations/chicago');
+    assert.equal(scoreCandidate(candidate, 'The Smith', { city: 'Chicago', knownDomains: ['thesmithrestaurant.com'] }), 0.95);
+});
+
+test('gives no confidence to aggregators or results without a domain', () => {
+    assert.equal(scoreCandidate(result('yelp.com', 'The Smith - Yelp', 'https://www.yelp.com/biz/the-smith'), 'The Smith'), 0);
+    assert.equal(scoreCandidate(result('', 'The Smith'), 'The Smith'), 0);
+});